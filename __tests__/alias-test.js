@@ -26,7 +26,7 @@ module.exports = eva => {
     (square 2)
 
   `,
-  Type.int);
+  Type.fromString('int', eva.types));
 
   test(eva,
   `
@@ -35,7 +35,7 @@ module.exports = eva => {
     (promote 1)
 
   `,
-  Type.ID);
+  Type.fromString('ID', eva.types));
 
 
   test(eva,
@@ -45,7 +45,7 @@ module.exports = eva => {
     x
 
   `,
-  Type.Index);
+  Type.fromString('Index', eva.types));
 
 
   test(eva,
@@ -53,14 +53,14 @@ module.exports = eva => {
     x
 
   `,
-  Type.ID);
+  Type.fromString('ID', eva.types));
 
   test(eva,
   `
     x
 
   `,
-  Type.int);
+  Type.fromString('int', eva.types));
 
 
   test(eva,
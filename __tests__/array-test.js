@@ -0,0 +1,142 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Array literal, element type is inferred:
+
+  test(eva,
+  `
+    (array 1 2 3)
+
+  `,
+  Type.fromString('Array<number>'));
+
+  test(eva,
+  `
+    (var (xs Array<number>) (array 1 2 3))
+
+    xs
+
+  `,
+  Type.fromString('Array<number>'));
+
+  // Element access:
+
+  test(eva,
+  `
+    (idx xs 0)
+
+  `,
+  Type.number);
+
+  // Element update:
+
+  test(eva,
+  `
+    (set (idx xs 0) 5)
+
+  `,
+  Type.fromString('5'));
+
+  testError(eva,
+  `
+    (set (idx xs 0) "five")
+
+  `,
+  'Expected "number" type');
+
+  // Nested arrays:
+
+  test(eva,
+  `
+    (var (matrix Array<Array<string>>)
+      (array
+        (array "a" "b")
+        (array "c" "d")))
+
+    (idx (idx matrix 1) 0)
+
+  `,
+  Type.string);
+
+  // Arrays as function parameters:
+
+  test(eva,
+  `
+    (def first ((items Array<string>)) -> string
+      (idx items 0))
+
+    (first (array "x" "y"))
+
+  `,
+  Type.string);
+
+  // Mixed literal, elements are joined to a union:
+
+  exec(eva,
+  `
+    (type Element (or number string))
+
+  `);
+
+  test(eva,
+  `
+    (array 1 "two")
+
+  `,
+  Type.fromString('Array<Element>', eva.types));
+
+  testError(eva,
+  `
+    (var (ys Array<string>) (array 1 2))
+
+  `,
+  'Expected "Array<string>" type');
+
+  testError(eva,
+  `
+    (idx xs "0")
+
+  `,
+  'Expected "number" type');
+
+  testError(eva,
+  `
+    (idx 10 0)
+
+  `,
+  'Expected array type for 10');
+
+  // Empty arrays get the element type from the expected type:
+
+  test(eva,
+  `
+    (var (empty Array<number>) (array))
+
+    empty
+
+  `,
+  Type.fromString('Array<number>'));
+
+  test(eva,
+  `
+    (first (array))
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (var nothing (array))
+
+  `,
+  'Cannot infer element type of an empty array literal (array).');
+
+};
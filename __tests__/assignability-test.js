@@ -0,0 +1,196 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (type Meters number)
+
+    (type Mixed (or number string))
+
+    (type Scalar (or number string boolean))
+
+    (class Vehicle null
+      (begin
+
+        (var (wheels number) 0)
+
+        (def constructor ((self Vehicle) (wheels number)) -> Vehicle
+          (begin
+            (set (prop self wheels) wheels)
+            self))))
+
+    (class Car Vehicle
+      (begin
+        (var (doors number) 4)))
+
+    (class Boat null
+      (begin
+
+        (var (sails number) 1)
+
+        (def constructor ((self Boat)) -> Boat
+          self)))
+
+    (type vehicle Vehicle)
+
+    (type car Car)
+
+    (type Point2D
+      (object
+        (x number)
+        (y number)))
+
+  `);
+
+  // --------------------------------------------
+  // Sound assignments:
+
+  // Literal to its base type:
+  test(eva, `(var (s string) "a") s`, Type.string);
+
+  // Through aliases, both ways:
+  test(eva, `(var (m Meters) 5) (var (n number) m) n`, Type.number);
+
+  // Option to a union, and a union to a wider union:
+  test(eva, `(var (mixed Mixed) 1) mixed`, Type.fromString('Mixed', eva.types));
+  test(eva, `(var (scalar Scalar) mixed) scalar`, Type.fromString('Scalar', eva.types));
+
+  // Subclass to the super class:
+  test(eva, `(var (v Vehicle) (new Car 4)) v`, Type.fromString('Vehicle', eva.types));
+
+  // Object with extra fields:
+  test(eva, `(var (p Point2D) (object (x 1) (y 2) (z 3))) p`, Type.fromString('Point2D', eva.types));
+
+  // Functions: contravariant parameters, covariant return type:
+  test(eva,
+  `
+    (def wheelsOf ((v vehicle)) -> number
+      (prop v wheels))
+
+    (var (f Fn<number<car>>) wheelsOf)
+
+    f
+
+  `,
+  Type.fromString('Fn<number<car>>', eva.types));
+
+  test(eva,
+  `
+    (def makeCar ((wheels number)) -> car
+      (new Car wheels))
+
+    (var (g Fn<vehicle<number>>) makeCar)
+
+    g
+
+  `,
+  Type.fromString('Fn<vehicle<number>>', eva.types));
+
+  // never to anything:
+  test(eva, `(var (x number) (if (== 1 1) 1 (throw "Error"))) x`, Type.number);
+
+  // --------------------------------------------
+  // Unsound assignments:
+
+  // Union to one of its options:
+  testError(eva,
+    `(var (n1 number) mixed)`,
+    'Expected "number" type for mixed');
+
+  // Union to a narrower union:
+  testError(eva,
+    `(var (m1 Mixed) scalar)`,
+    'Expected "Mixed" type for scalar');
+
+  // Base type to a literal:
+  testError(eva,
+    `(var (l "a") s)`,
+    'Expected ""a"" type for s');
+
+  // Super class to a subclass, and unrelated classes:
+  testError(eva,
+    `(var (c Car) (new Vehicle 2))`,
+    'Expected "Car" type');
+
+  testError(eva,
+    `(var (b Boat) (new Car 4))`,
+    'Expected "Boat" type');
+
+  // Object with missing fields:
+  testError(eva,
+    `(var (p1 Point2D) (object (x 1)))`,
+    'Expected "Point2D" type');
+
+  // Arrays are mutable, so their element types should be the same:
+  testError(eva,
+  `
+    (var (numbers Array<number>) (array 1 2))
+
+    (var (mixedArray Array<Mixed>) numbers)
+
+  `,
+  'Expected "Array<Mixed>" type for numbers');
+
+  // Functions with a narrower parameter, or a wider return type:
+  testError(eva,
+  `
+    (def doorsOf ((c car)) -> number
+      (prop c doors))
+
+    (var (f1 Fn<number<vehicle>>) doorsOf)
+
+  `,
+  'Expected "Fn<number<vehicle>>" type for doorsOf');
+
+  testError(eva,
+  `
+    (def makeVehicle ((wheels number)) -> vehicle
+      (new Vehicle wheels))
+
+    (var (g1 Fn<car<number>>) makeVehicle)
+
+  `,
+  'Expected "Fn<car<number>>" type for makeVehicle');
+
+  // Both operands of arithmetic operators are checked:
+  testError(eva,
+  `
+    (var (sum number) (+ mixed 1))
+
+  `,
+  'Expected "number" type for mixed');
+
+  testError(eva,
+  `
+    (+ 1 mixed)
+
+  `,
+  'Expected "number" type for mixed');
+
+  // Function arguments and assignments use the same relation:
+  testError(eva,
+  `
+    (def double ((n number)) -> number
+      (* n 2))
+
+    (double mixed)
+
+  `,
+  'Expected "number" type for mixed');
+
+  testError(eva,
+  `
+    (set m mixed)
+
+  `,
+  'Expected "Meters" type for mixed');
+
+};
@@ -0,0 +1,123 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Async function returns a promise:
+
+  test(eva,
+  `
+    (async def fetchName ((id number)) -> string
+      "John")
+
+    fetchName
+
+  `,
+  new Type.Function({
+    paramTypes: [Type.number],
+    returnType: Type.fromString('Promise<string>'),
+  }));
+
+  test(eva,
+  `
+    (fetchName 1)
+
+  `,
+  Type.fromString('Promise<string>'));
+
+  // Await unwraps the promise:
+
+  test(eva,
+  `
+    (async def greet ((id number)) -> string
+      (begin
+        (var name (await (fetchName id)))
+        (+ "Hello, " name)))
+
+    (greet 1)
+
+  `,
+  Type.fromString('Promise<string>'));
+
+  // Async lambda:
+
+  test(eva,
+  `
+    (var (getLength Fn<number<string>>) (lambda ((s string)) -> number 1))
+
+    ((async lambda ((id number)) -> number
+      (getLength (await (fetchName id)))) 1)
+
+  `,
+  Type.fromString('Promise<number>'));
+
+  // Promise types in annotations:
+
+  test(eva,
+  `
+    (async def fetchAll ((p Promise<string>)) -> Array<string>
+      (array (await p)))
+
+    (fetchAll (fetchName 1))
+
+  `,
+  Type.fromString('Promise<Array<string>>'));
+
+  // Generic async function:
+
+  test(eva,
+  `
+    (async def identity <T> ((x T)) -> T x)
+
+    (identity 10)
+
+  `,
+  Type.fromString('Promise<number>'));
+
+  // Await outside of async functions:
+
+  testError(eva,
+  `
+    (await (fetchName 1))
+
+  `,
+  'await is only allowed inside async functions');
+
+  testError(eva,
+  `
+    (def syncGreet ((id number)) -> string
+      (await (fetchName id)))
+
+  `,
+  'await is only allowed inside async functions');
+
+  // Nested sync function inside an async one:
+
+  testError(eva,
+  `
+    (async def outer ((id number)) -> number
+      (begin
+        (def inner ((x number)) -> string
+          (await (fetchName x)))
+        id))
+
+  `,
+  'await is only allowed inside async functions');
+
+  // Wrong return type:
+
+  testError(eva,
+  `
+    (async def fetchAge ((id number)) -> number
+      "old")
+
+  `,
+  'Expected function "old" to return number');
+
+};
@@ -0,0 +1,115 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (type account
+      (object
+        (login string)
+        (balance number)))
+
+    (def map ((xs Array<number>) (f Fn<number<number>>)) -> Array<number>
+      xs)
+
+    (def describe ((acc account) (f Fn<string<account>>)) -> string
+      (f acc))
+
+  `);
+
+  // Parameter types of lambda arguments come from the function type:
+
+  test(eva,
+  `
+    (map (array 1 2 3) (lambda (x) (* x 2)))
+
+  `,
+  Type.fromString('Array<number>'));
+
+  test(eva,
+  `
+    (describe
+      (object (login "alex") (balance 10))
+      (lambda (acc) (prop acc login)))
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (map (array 1 2 3) (lambda (x) (+ x "2")))
+
+  `,
+  'Expected "number" type for "2"');
+
+  // Return type is checked against the expected one:
+
+  testError(eva,
+  `
+    (describe
+      (object (login "alex") (balance 10))
+      (lambda (acc) (prop acc balance)))
+
+  `,
+  'Expected "string" type for prop,acc,balance');
+
+  // Variable annotations:
+
+  test(eva,
+  `
+    (var (double Fn<number<number>>) (lambda (x) (* x 2)))
+
+    (double 5)
+
+  `,
+  Type.number);
+
+  // Return positions:
+
+  test(eva,
+  `
+    (def makeAdder ((n number)) -> Fn<number<number>>
+      (lambda (x) (+ x n)))
+
+    ((makeAdder 1) 2)
+
+  `,
+  Type.number);
+
+  // If branches:
+
+  test(eva,
+  `
+    (var (login Fn<string<account>>)
+      (if (== 1 1)
+        (lambda (acc) (prop acc login))
+        (lambda (acc) "anonymous")))
+
+    login
+
+  `,
+  Type.fromString('Fn<string<account>>', eva.types));
+
+  exec(eva,
+  `
+    (type Amount (or number string))
+
+  `);
+
+  test(eva,
+  `
+    (var (amount Amount) (if (== 1 1) 10 "ten"))
+
+    amount
+
+  `,
+  Type.fromString('Amount', eva.types));
+
+};
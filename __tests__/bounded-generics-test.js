@@ -0,0 +1,162 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Union bound:
+
+  exec(eva,
+  `
+    (def add <K extends (or number string)> ((x K) (y K)) -> K
+      (+ x y))
+
+  `);
+
+  test(eva,
+  `
+    (add 2 3)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (add <string> "Hello, " "world!")
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (add true false)
+
+  `,
+  'Type "boolean" does not satisfy the bound "(or number string)" of generic parameter K');
+
+  testError(eva,
+  `
+    (add <boolean> true false)
+
+  `,
+  'Type "boolean" does not satisfy the bound "(or number string)" of generic parameter K');
+
+  // Class bound:
+
+  exec(eva,
+  `
+    (class Shape null
+      (begin
+
+        (var (area number) 0)
+
+        (def constructor ((self Shape) (area number)) -> Shape
+          (begin
+            (set (prop self area) area)
+            self))))
+
+    (class Square Shape
+      (begin
+        (var (side number) 0)))
+
+    (def getArea <T extends Shape> ((shape T)) -> number
+      (prop shape area))
+
+  `);
+
+  test(eva,
+  `
+    (getArea (new Square 4))
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (getArea 10)
+
+  `,
+  'Type "number" does not satisfy the bound "Shape" of generic parameter T');
+
+  // Several parameters, bounded and unbounded:
+
+  test(eva,
+  `
+    (def pick <T extends Shape,V> ((shape T) (value V)) -> V
+      value)
+
+    (pick (new Shape 1) "x")
+
+  `,
+  Type.string);
+
+  // Body is checked at declaration against the bound:
+
+  testError(eva,
+  `
+    (def inc <K extends number> ((x K)) -> K
+      (+ x "1"))
+
+  `,
+  'Expected "number" type for "1"');
+
+  testError(eva,
+  `
+    (def getSide <T extends Shape> ((shape T)) -> number
+      (prop shape side))
+
+  `,
+  'Variable "side" is not defined.');
+
+  // Also with unbounded parameters, which are opaque:
+
+  testError(eva,
+  `
+    (def getSideOf <T extends Shape,U> ((shape T) (u U)) -> number
+      (prop shape side))
+
+  `,
+  'Variable "side" is not defined.');
+
+  testError(eva,
+  `
+    (def addArea <T extends Shape,U> ((shape T) (u U)) -> number
+      (+ (prop shape area) u))
+
+  `,
+  'Expected "number" type for u');
+
+  // Bounded types are only assignable to their bounds,
+  // but the bounds are not assignable to them:
+
+  testError(eva,
+  `
+    (def pick <K extends (or number string)> ((x K)) -> K
+      (if (== (typeof x) "number") 5 x))
+
+  `,
+  'Expected "K" type for 5');
+
+  testError(eva,
+  `
+    (def mk <T extends Shape> ((shape T)) -> T
+      (new Shape 1))
+
+  `,
+  'Expected "T" type for new,Shape,1');
+
+  // Bounded generic lambda:
+
+  test(eva,
+  `
+    ((lambda <T extends number> ((x T)) -> number (* x x)) 2)
+
+  `,
+  Type.number);
+
+};
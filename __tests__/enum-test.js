@@ -0,0 +1,198 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (enum Figure
+      (Circle (r number))
+      (Rect (w number) (h number)))
+
+    (enum Token
+      (Num (value number))
+      (Str (value string))
+      (End))
+
+  `);
+
+  // Constructors:
+
+  test(eva,
+  `
+    (Circle 10)
+
+  `,
+  Type.fromString('Figure', eva.types));
+
+  test(eva,
+  `
+    (End)
+
+  `,
+  Type.fromString('Token', eva.types));
+
+  // Constructors can't replace other definitions:
+
+  testError(eva,
+  `
+    (enum Shape
+      (Circle (radius number)))
+
+  `,
+  'Constructor Circle of enum Shape is already defined as "Fn<Figure<number>>".');
+
+  testError(eva,
+  `
+    (var Leaf 1)
+
+    (enum Tree
+      (Leaf)
+      (Node (left Tree) (right Tree)))
+
+  `,
+  'Constructor Leaf of enum Tree is already defined as "number".');
+
+  test(eva,
+  `
+    (begin
+      (enum Local
+        (Circle (label string)))
+      (match (Circle "c")
+        ((Circle label) label)))
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (Circle "10")
+
+  `,
+  'Expected "number" type for "10"');
+
+  // Match binds variant fields:
+
+  test(eva,
+  `
+    (def area ((f Figure)) -> number
+      (match f
+        ((Circle r) (* r r))
+        ((Rect w h) (* w h))))
+
+    (area (Rect 2 3))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (var (token Token) (Str "x"))
+
+    (match token
+      ((Num value) "number")
+      ((Str value) value)
+      ((End) "end"))
+
+  `,
+  Type.string);
+
+  // Wildcard arm:
+
+  test(eva,
+  `
+    (match token
+      ((Num _) true)
+      (_ false))
+
+  `,
+  Type.boolean);
+
+  // Arms should return the same type:
+
+  testError(eva,
+  `
+    (match token
+      ((Num value) value)
+      ((Str value) value)
+      ((End) 0))
+
+  `,
+  'Expected "number" type for value');
+
+  // Exhaustiveness:
+
+  testError(eva,
+  `
+    (match token
+      ((End) 0))
+
+  `,
+  'Non-exhaustive match on Token, missing: Num, Str');
+
+  // Unreachable arms:
+
+  testError(eva,
+  `
+    (match token
+      ((Num value) 1)
+      ((Num value) 2)
+      (_ 0))
+
+  `,
+  'Unreachable match arm (Num value), variant Num is already matched');
+
+  testError(eva,
+  `
+    (match token
+      (_ 0)
+      ((End) 1))
+
+  `,
+  'Unreachable match arm (End), all variants are already matched');
+
+  testError(eva,
+  `
+    (match (Circle 1)
+      ((Circle r) 1)
+      ((Rect w h) 3)
+      (_ 0))
+
+  `,
+  'Unreachable match arm _, all variants are already matched');
+
+  // Patterns should be valid:
+
+  testError(eva,
+  `
+    (match token
+      ((Rect w h) 0)
+      (_ 1))
+
+  `,
+  'Unknown variant Rect of enum Token.');
+
+  testError(eva,
+  `
+    (match (Circle 1)
+      ((Circle) 0)
+      (_ 1))
+
+  `,
+  'Variant Circle has 1 fields, 0 bound in (Circle)');
+
+  testError(eva,
+  `
+    (match 10
+      (_ 1))
+
+  `,
+  'Expected enum type for 10 in match');
+
+};
@@ -0,0 +1,207 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (type Result <T> (or T string))
+
+    (type Callback <T> Fn<null<T>>)
+
+    (type Pair <A,B> Tuple<A,B>)
+
+  `);
+
+  // Instantiation in annotations:
+
+  test(eva,
+  `
+    (var (ok Result<number>) 10)
+    (var (error Result<number>) "failed")
+
+    ok
+
+  `,
+  Type.fromString('Result<number>', eva.types));
+
+  testError(eva,
+  `
+    (var (r Result<number>) true)
+
+  `,
+  'Expected "Result<number>" type');
+
+  test(eva,
+  `
+    (def parse ((s string)) -> Result<boolean>
+      (begin
+        (var (result Result<boolean>) "not a boolean")
+        result))
+
+    (parse "true")
+
+  `,
+  Type.fromString('Result<boolean>', eva.types));
+
+  test(eva,
+  `
+    (def listen ((callback Callback<string>)) -> boolean
+      true)
+
+    listen
+
+  `,
+  new Type.Function({
+    paramTypes: [Type.fromString('Fn<null<string>>')],
+    returnType: Type.boolean,
+  }));
+
+  // Several type parameters:
+
+  test(eva,
+  `
+    (var ((key value) Pair<string,number>) (tuple "x" 1))
+
+    value
+
+  `,
+  Type.number);
+
+  // Nested instantiation:
+
+  test(eva,
+  `
+    (var (pairs Array<Pair<string,Result<number>>>)
+      (array (tuple "a" 1)))
+
+    (idx (idx pairs 0) 1)
+
+  `,
+  Type.fromString('Result<number>', eva.types));
+
+  // Arity check:
+
+  testError(eva,
+  `
+    (var (p Pair<number>) (tuple 1 2))
+
+  `,
+  'Type Pair expects 2 type arguments, 1 given.');
+
+  // Instantiations are per actual types, not per type names:
+
+  test(eva,
+  `
+    (begin
+      (class Point null
+        (begin
+          (var (x number) 0)
+          (def constructor ((self Point)) -> Point
+            self)))
+      (var (p Pair<Point,Point>) (tuple (new Point) (new Point)))
+      (prop (idx p 0) x))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (begin
+      (class Point null
+        (begin
+          (var (label string) "")
+          (def constructor ((self Point)) -> Point
+            self)))
+      (var (p Pair<Point,Point>) (tuple (new Point) (new Point)))
+      (prop (idx p 1) label))
+
+  `,
+  Type.string);
+
+  // Recursive generic alias:
+
+  exec(eva,
+  `
+    (type Tree <T> (or T (tuple Tree<T> Tree<T>)))
+
+  `);
+
+  test(eva,
+  `
+    (var (leaf Tree<number>) 1)
+    (var (node Tree<number>) (tuple 1 (tuple 2 3)))
+
+    node
+
+  `,
+  Type.fromString('Tree<number>', eva.types));
+
+  testError(eva,
+  `
+    (var (badNode Tree<number>) (tuple 1 (tuple "2" 3)))
+
+  `,
+  'Expected "Tree<number>" type');
+
+  // Object types in unions:
+
+  exec(eva,
+  `
+    (type List <T> (or null (object (head T) (tail List<T>))))
+
+  `);
+
+  test(eva,
+  `
+    (var (list List<number>) (object (head 1) (tail (object (head 2) (tail null)))))
+
+    list
+
+  `,
+  Type.fromString('List<number>', eva.types));
+
+  testError(eva,
+  `
+    (var (badList List<number>) (object (head "1") (tail null)))
+
+  `,
+  'Expected "List<number>" type');
+
+  testError(eva,
+  `
+    (type Maybe <T> (or null (record (value T))))
+
+    (var (m Maybe<number>) null)
+
+  `,
+  'Unknown type (record (value T)).');
+
+  // Aliases which never reach a type:
+
+  testError(eva,
+  `
+    (type Loop <T> Loop<T>)
+
+    (var (x Loop<number>) 1)
+
+  `,
+  'Recursive type alias Loop<number>');
+
+  testError(eva,
+  `
+    (type Ping <T> Pong<T>)
+    (type Pong <T> Ping<T>)
+
+    (var (y Ping<string>) "s")
+
+  `,
+  'Recursive type alias Ping<string>');
+
+};
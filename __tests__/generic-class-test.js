@@ -0,0 +1,195 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Generic class:
+
+  exec(eva,
+  `
+    (class Box <T> null
+      (begin
+
+        (var (value T))
+
+        (def constructor ((self Box<T>) (value T)) -> Box<T>
+          (begin
+            (set (prop self value) value)
+            self))
+
+        (def get ((self Box<T>)) -> T
+          (prop self value))))
+
+  `);
+
+  // Instantiation:
+
+  test(eva,
+  `
+    (var (box Box<number>) (new Box <number> 5))
+
+    box
+
+  `,
+  Type.fromString('Box<number>', eva.types));
+
+  test(eva,
+  `
+    ((prop box get) box)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    ((prop (new Box <string> "hello") get) (new Box <string> "world"))
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (new Box <string> 10)
+
+  `,
+  'Expected "string" type');
+
+  testError(eva,
+  `
+    (var (strBox Box<string>) (new Box <number> 5))
+
+  `,
+  'Expected "Box<string>" type');
+
+  // Generic class in annotations:
+
+  test(eva,
+  `
+    (def unbox ((b Box<Array<number>>)) -> Array<number>
+      ((prop b get) b))
+
+    (unbox (new Box <Array<number>> (array 1 2)))
+
+  `,
+  Type.fromString('Array<number>'));
+
+  // Inheritance from an instantiated generic class:
+
+  test(eva,
+  `
+    (class IntBox Box<number>
+      (begin
+
+        (def double ((self IntBox)) -> number
+          (* ((prop (super IntBox) get) self) 2))))
+
+    (var (intBox IntBox) (new IntBox 10))
+
+    ((prop intBox double) intBox)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (var (numBox Box<number>) intBox)
+
+    ((prop numBox get) numBox)
+
+  `,
+  Type.number);
+
+  // Generic class extending generic class:
+
+  test(eva,
+  `
+    (class LabeledBox <T> Box<T>
+      (begin
+
+        (var (label string))
+
+        (def getLabel ((self LabeledBox<T>)) -> string
+          (prop self label))))
+
+    (var (labeled Box<boolean>) (new LabeledBox <boolean> true))
+
+    ((prop labeled get) labeled)
+
+  `,
+  Type.boolean);
+
+  // Generic types are bound only in type annotations:
+
+  test(eva,
+  `
+    (class Counter <T> null
+      (begin
+
+        (var (value T))
+
+        (def constructor ((self Counter<T>) (value T)) -> Counter<T>
+          (begin
+            (set (prop self value) value)
+            self))
+
+        (def count ((self Counter<T>)) -> number
+          (begin
+            (var (T number) 1)
+            T))))
+
+    ((prop (new Counter <string> "x") count) (new Counter <string> "y"))
+
+  `,
+  Type.number);
+
+  // Instantiations are per actual types, not per type names:
+
+  test(eva,
+  `
+    (begin
+      (class Point null
+        (begin
+          (var (x number) 0)
+          (def constructor ((self Point)) -> Point
+            self)))
+      (var (p Box<Point>) (new Box <Point> (new Point)))
+      (prop ((prop p get) p) x))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (begin
+      (class Point null
+        (begin
+          (var (label string) "")
+          (def constructor ((self Point)) -> Point
+            self)))
+      (var (p Box<Point>) (new Box <Point> (new Point)))
+      (prop ((prop p get) p) label))
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (new Box 5)
+
+  `,
+  'No actual types provided for generic class Box');
+
+  testError(eva,
+  `
+    (var (b Box<number,string>) 1)
+
+  `,
+  'Generic class Box expects 1 types, 2 given.');
+
+};
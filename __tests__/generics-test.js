@@ -4,7 +4,7 @@
  * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
  */
 
-const {exec, test} = require('./test-util');
+const {exec, test, testError} = require('./test-util');
 const Type = require('../src/Type');
 
 module.exports = eva => {
@@ -47,4 +47,118 @@ module.exports = eva => {
   `,
   Type.string);
 
+  // Inferred generic types:
+
+  test(eva,
+  `
+
+    (combine 2 3)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+
+    (combine "Hello, " "world!")
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    ((lambda <K> ((x K)) -> K (+ x x)) 2)
+
+  `,
+  Type.number);
+
+  // Inferred from an array element type:
+
+  test(eva,
+  `
+    (def head <T> ((items Array<T>)) -> T
+      (idx items 0))
+
+    (head (array "a" "b"))
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (def wrap <T> ((x T)) -> Array<T>
+      (array x))
+
+    (wrap 10)
+
+  `,
+  Type.fromString('Array<number>'));
+
+  // Inferred from the parts of compound types:
+
+  test(eva,
+  `
+    (def swap <A,B> ((pair Tuple<A,B>)) -> Tuple<B,A>
+      (tuple (idx pair 1) (idx pair 0)))
+
+    (swap (tuple 1 "one"))
+
+  `,
+  Type.fromString('Tuple<string,number>'));
+
+  test(eva,
+  `
+    (async def later ((x number)) -> number x)
+
+    (def pass <A> ((p Promise<A>)) -> Promise<A> p)
+
+    (pass (later 1))
+
+  `,
+  Type.fromString('Promise<number>'));
+
+  test(eva,
+  `
+    (def applyTo <A,B> ((f Fn<B<A>>) (x A)) -> B
+      (f x))
+
+    (applyTo (lambda ((n number)) -> string "n") 1)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (def first <T> ((items Array<T>)) -> T
+      (idx items 0))
+
+    (prop (first (array (object (a 1)))) a)
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (applyTo (lambda ((n number)) -> string "n") "one")
+
+  `,
+  'Conflicting types for generic parameter A');
+
+  testError(eva,
+  `
+
+    (combine 2 "x")
+
+  `,
+  'Conflicting types for generic parameter K in combine,2,"x": "number" and "string".');
+
+  testError(eva,
+  `
+    (def make <T> ((x number)) -> number x)
+
+    (make 1)
+
+  `,
+  'Cannot infer type for generic parameter T');
+
 };
\ No newline at end of file
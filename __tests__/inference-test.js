@@ -0,0 +1,163 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Inferred from the operator:
+
+  test(eva,
+  `
+    ((lambda (x) (* x x)) 2)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (lambda (x) (* x x))
+
+  `,
+  Type.fromString('Fn<number<number>>'));
+
+  // Polymorphic functions:
+
+  test(eva,
+  `
+    (def add (x y) (+ x y))
+
+    (add 1 2)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (add "Hello, " "world")
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (var id (lambda (x) x))
+
+    (id true)
+
+  `,
+  Type.boolean);
+
+  test(eva,
+  `
+    (id "x")
+
+  `,
+  Type.string);
+
+  // Higher-order functions:
+
+  test(eva,
+  `
+    (def apply (f x) (f x))
+
+    (apply (lambda (n) (- n 1)) 5)
+
+  `,
+  Type.number);
+
+  // Recursive functions:
+
+  test(eva,
+  `
+    (def factorial (n)
+      (if (== n 1)
+        1
+        (* n (factorial (- n 1)))))
+
+    (factorial 5)
+
+  `,
+  Type.number);
+
+  // Mixed annotations:
+
+  test(eva,
+  `
+    (def square ((x number)) (* x x))
+
+    (square 3)
+
+  `,
+  Type.number);
+
+  // Errors:
+
+  testError(new EvaTC(),
+  `
+    (def add (x y) (+ x y))
+
+    (add 1 "x")
+
+  `,
+  'Expected "number" type for "x"');
+
+  // Operands of inferred operators are constrained:
+
+  testError(eva,
+  `
+    (add true false)
+
+  `,
+  'Expected "(or string number)" type for true');
+
+  testError(eva,
+  `
+    (add (array 1) (array 2))
+
+  `,
+  'Expected "(or string number)" type for array,1');
+
+  testError(eva,
+  `
+    (def cmp (x y) (> x y))
+
+    (cmp (array 1) (array 2))
+
+  `,
+  'Expected "number" type for array,1');
+
+  testError(new EvaTC(),
+  `
+    (lambda (x) (+ x true))
+
+  `,
+  'Expected "(or string number)" type for true');
+
+  testError(new EvaTC(),
+  `
+    (lambda (x) (if x (- x 1) 0))
+
+  `,
+  'Expected "number" type for x in ["-","x",1], but got "boolean"');
+
+  testError(new EvaTC(),
+  `
+    (lambda (x) x)
+
+  `,
+  'Cannot infer type of parameter "x" in (lambda (x) x), add a type annotation.');
+
+  testError(new EvaTC(),
+  `
+    (lambda (f) (f f))
+
+  `,
+  'Infinite type');
+
+};
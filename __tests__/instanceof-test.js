@@ -0,0 +1,147 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (class Animal null
+      (begin
+
+        (var (name string) "")
+
+        (def constructor ((self Animal) (name string)) -> Animal
+          (begin
+            (set (prop self name) name)
+            self))))
+
+    (class Dog Animal
+      (begin
+        (var (barks boolean) true)))
+
+    (class Cat Animal
+      (begin
+        (var (lives number) 9)))
+
+    (class Rock null
+      (begin
+
+        (var (weight number) 1)
+
+        (def constructor ((self Rock)) -> Rock
+          self)))
+
+    (type Pet (or Dog Cat))
+
+    (var (pet Pet) (new Dog "Rex"))
+
+  `);
+
+  test(eva, `(instanceof pet Dog)`, Type.boolean);
+
+  // Narrowing a union of classes:
+
+  test(eva,
+  `
+    (if (instanceof pet Dog)
+      (prop pet barks)
+      false)
+
+  `,
+  Type.boolean);
+
+  test(eva,
+  `
+    (if (instanceof pet Dog)
+      0
+      (prop pet lives))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (and (instanceof pet Cat) (> (prop pet lives) 0))
+
+  `,
+  Type.boolean);
+
+  // Narrowing a super class to the subclass:
+
+  test(eva,
+  `
+    (var (animal Animal) (new Cat "Tom"))
+
+    (if (instanceof animal Cat)
+      (prop animal lives)
+      0)
+
+  `,
+  Type.number);
+
+  // Unrelated classes:
+
+  testError(eva,
+  `
+    (instanceof pet Rock)
+
+  `,
+  'Condition (instanceof pet Rock) is always false, "Pet" type is not related to class Rock.');
+
+  testError(eva,
+  `
+    (instanceof 10 Animal)
+
+  `,
+  'is always false');
+
+  // Interfaces may be implemented by the class:
+
+  exec(eva,
+  `
+    (interface Named
+      (name string))
+
+    (class Person null (Named)
+      (begin
+
+        (var (name string) "")
+        (var (title string) "Dr.")
+
+        (def constructor ((self Person)) -> Person
+          self)))
+
+    (var (named Named) (new Person))
+
+  `);
+
+  test(eva,
+  `
+    (if (instanceof named Person)
+      (prop named title)
+      "")
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (instanceof named Rock)
+
+  `,
+  'Condition (instanceof named Rock) is always false, "Named" type is not related to class Rock.');
+
+  testError(eva,
+  `
+    (instanceof pet Pet)
+
+  `,
+  'Unknown class Pet.');
+
+};
@@ -0,0 +1,183 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (interface Named
+      (name string))
+
+    (interface Aged
+      (age number))
+
+  `);
+
+  // Class implementing interfaces:
+
+  exec(eva,
+  `
+    (class Person null (Named Aged)
+      (begin
+
+        (var (name string) "")
+        (var (age number) 0)
+
+        (def constructor ((self Person) (name string) (age number)) -> Person
+          (begin
+            (set (prop self name) name)
+            (set (prop self age) age)
+            self))))
+
+  `);
+
+  // Interface-typed variable holds a class instance:
+
+  test(eva,
+  `
+    (var (named Named) (new Person "John" 25))
+
+    (prop named name)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (def getAge ((x Aged)) -> number
+      (prop x age))
+
+    (getAge (new Person "Alex" 30))
+
+  `,
+  Type.number);
+
+  // Interfaces are inherited by child classes:
+
+  test(eva,
+  `
+    (class Employee Person
+      (begin
+        (var (salary number) 0)))
+
+    (var (employee Named) (new Employee "Bob" 40))
+
+    (prop employee name)
+
+  `,
+  Type.string);
+
+  // Interface is an object type:
+
+  test(eva,
+  `
+    (var (pet Named) (object (name "Rex")))
+
+    pet
+
+  `,
+  Type.fromString('Named', eva.types));
+
+  // Class not implementing the interface:
+
+  testError(eva,
+  `
+    (class Robot null
+      (begin
+        (var (name string) "R2")
+        (def constructor ((self Robot)) -> Robot self)))
+
+    (var (robot Named) (new Robot))
+
+  `,
+  'Expected "Named" type');
+
+  // Missing member:
+
+  testError(eva,
+  `
+    (class Anonymous null (Named)
+      (begin
+        (var (age number) 0)))
+
+  `,
+  'Class Anonymous doesn\'t implement member "name" of interface Named.');
+
+  // Mistyped member:
+
+  testError(eva,
+  `
+    (class Ageless null (Aged)
+      (begin
+        (var (age string) "unknown")))
+
+  `,
+  'Member "age" of class Ageless has type "string", but interface Aged expects "number".');
+
+  // Methods take the instance as self, which is
+  // the interface in the interface type:
+
+  exec(eva,
+  `
+    (interface Greeter
+      (greet Fn<string<Greeter,string>>))
+
+    (class Host null (Greeter)
+      (begin
+
+        (var (name string) "host")
+
+        (def constructor ((self Host)) -> Host
+          self)
+
+        (def greet ((self Host) (guest string)) -> string
+          (+ (prop self name) guest))))
+
+  `);
+
+  test(eva,
+  `
+    (var (greeter Greeter) (new Host))
+
+    ((prop greeter greet) greeter "alex")
+
+  `,
+  Type.string);
+
+  // Self can't be omitted, methods are called with explicit self:
+
+  testError(eva,
+  `
+    (interface Speaker
+      (speak Fn<string<string>>))
+
+    (class Parrot Host (Speaker)
+      (begin
+        (def speak ((self Host) (phrase string)) -> string
+          phrase)))
+
+  `,
+  'Member "speak" of class Parrot has type "Fn<string<Host,string>>", but interface Speaker expects "Fn<string<string>>".');
+
+  testError(eva,
+  `
+    (interface Talker
+      (talk Fn<string<Talker>>))
+
+    (class Mute null (Talker)
+      (begin
+        (def constructor ((self Mute)) -> Mute
+          self)
+        (def talk ((self Mute)) -> number
+          0)))
+
+  `,
+  'Member "talk" of class Mute has type "Fn<number<Mute>>", but interface Talker expects "Fn<string<Talker>>".');
+
+};
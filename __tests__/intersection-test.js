@@ -0,0 +1,150 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (interface Titled
+      (title string))
+
+    (interface Priced
+      (price number))
+
+    (type Product (and Titled Priced))
+
+  `);
+
+  // Object with fields of all members:
+
+  test(eva,
+  `
+    (var (book Product)
+      (object
+        (title "SICP")
+        (price 50)))
+
+    book
+
+  `,
+  Type.fromString('Product', eva.types));
+
+  testError(eva,
+  `
+    (var (pen Product)
+      (object
+        (title "Pen")))
+
+  `,
+  'Expected "Product" type');
+
+  // Fields are merged from all members:
+
+  test(eva,
+  `
+    (prop book title)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (prop book price)
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (prop book weight)
+
+  `,
+  'Property "weight" is not defined in Product.');
+
+  // Intersection is assignable to each member:
+
+  test(eva,
+  `
+    (def getTitle ((x Titled)) -> string
+      (prop x title))
+
+    (getTitle book)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (var (priced Priced) book)
+
+    (prop priced price)
+
+  `,
+  Type.number);
+
+  // Class implementing all members:
+
+  test(eva,
+  `
+    (class Gadget null (Titled Priced)
+      (begin
+
+        (var (title string) "")
+        (var (price number) 0)
+
+        (def constructor ((self Gadget) (title string) (price number)) -> Gadget
+          (begin
+            (set (prop self title) title)
+            (set (prop self price) price)
+            self))))
+
+    (def describe ((product Product)) -> string
+      (prop product title))
+
+    (describe (new Gadget "Phone" 500))
+
+  `,
+  Type.string);
+
+  // Contradictory primitives give an uninhabited type:
+
+  exec(eva,
+  `
+    (type Impossible (and number string))
+
+  `);
+
+  testError(eva,
+  `
+    (var (x Impossible) 1)
+
+  `,
+  'Expected "never" type for 1');
+
+  // Literal of the primitive type is kept:
+
+  test(eva,
+  `
+    (type One (and number 1))
+
+    (var (one One) 1)
+
+    one
+
+  `,
+  Type.fromString(1));
+
+  testError(eva,
+  `
+    (var (two One) 2)
+
+  `,
+  'Expected "One" type for 2');
+
+};
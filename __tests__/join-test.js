@@ -0,0 +1,171 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (type Either (or number string))
+
+    (type Some (or number string boolean))
+
+    (class Mammal null
+      (begin
+
+        (var (legs number) 4)
+
+        (def constructor ((self Mammal)) -> Mammal
+          self)))
+
+    (class Horse Mammal
+      (begin
+        (var (speed number) 60)))
+
+    (class Zebra Mammal
+      (begin
+        (var (stripes number) 40)))
+
+    (class Fish null
+      (begin
+
+        (var (fins number) 2)
+
+        (def constructor ((self Fish)) -> Fish
+          self)))
+
+    (var (flag boolean) true)
+
+  `);
+
+  // Identical types collapse:
+
+  test(eva,
+  `
+    (if flag 1 2)
+
+  `,
+  Type.number);
+
+  // Unrelated types join to a union:
+
+  test(eva,
+  `
+    (var either (if flag 1 "one"))
+
+    either
+
+  `,
+  Type.fromString('Either', eva.types));
+
+  testError(eva,
+  `
+    (var (n number) either)
+
+  `,
+  'Expected "number" type for either');
+
+  // Unions are flattened:
+
+  test(eva,
+  `
+    (if flag either true)
+
+  `,
+  Type.fromString('Some', eva.types));
+
+  // Classes join to the closest common super class:
+
+  test(eva,
+  `
+    (var mammal (if flag (new Horse) (new Zebra)))
+
+    (prop mammal legs)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    mammal
+
+  `,
+  Type.fromString('Mammal', eva.types));
+
+  testError(eva,
+  `
+    (var (horse Horse) mammal)
+
+  `,
+  'Expected "Horse" type for mammal');
+
+  test(eva,
+  `
+    (if flag (new Horse) (new Mammal))
+
+  `,
+  Type.fromString('Mammal', eva.types));
+
+  // Classes without a common super class join to a union:
+
+  testError(eva,
+  `
+    (var animal (if flag (new Horse) (new Fish)))
+
+    (prop animal legs)
+
+  `,
+  'Expected object type for animal');
+
+  // No else branch includes null:
+
+  const strictEva = new EvaTC({strictNullChecks: true});
+
+  test(strictEva,
+  `
+    (var maybe (if true 1))
+
+    maybe
+
+  `,
+  Type.fromString('number?'));
+
+  testError(strictEva,
+  `
+    (var (n number) maybe)
+
+  `,
+  'Expected "number" type for maybe');
+
+  testError(strictEva,
+  `
+    (var (m number) (if true 1))
+
+  `,
+  'Expected "number" type for null');
+
+  // Array literal elements are joined:
+
+  test(eva,
+  `
+    (var herd (array (new Horse) (new Zebra)))
+
+    (idx herd 0)
+
+  `,
+  Type.fromString('Mammal', eva.types));
+
+  test(eva,
+  `
+    (array 1 "one" 2)
+
+  `,
+  Type.fromString('Array<Either>', eva.types));
+
+};
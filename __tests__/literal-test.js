@@ -0,0 +1,127 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Literals have literal types:
+
+  test(eva, `"alex"`, Type.fromString('"alex"'));
+  test(eva, `42`, Type.fromString('42'));
+
+  // Which widen to their base types for mutable variables:
+
+  test(eva,
+  `
+    (var greeting "hello")
+
+    (set greeting "bye")
+
+    greeting
+
+  `,
+  Type.string);
+
+  // Value unions:
+
+  exec(eva,
+  `
+    (type names (or "alex" "john"))
+
+    (type answer (or "yes" 1 true))
+
+  `);
+
+  test(eva,
+  `
+    (var (name names) "alex")
+
+    name
+
+  `,
+  Type.fromString('names', eva.types));
+
+  testError(eva,
+  `
+    (var (other names) "bob")
+
+  `,
+  'Expected "names" type for "bob"');
+
+  test(eva,
+  `
+    (def greet ((name names)) -> string
+      (+ "Hello, " name))
+
+    (greet "john")
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (var (anyName string) "bob")
+
+    (greet anyName)
+
+  `,
+  'Expected "names" type');
+
+  test(eva,
+  `
+    (var (a answer) 1)
+    (var (b answer) true)
+
+    b
+
+  `,
+  Type.fromString('answer', eva.types));
+
+  testError(eva,
+  `
+    (var (c answer) false)
+
+  `,
+  'Expected "answer" type for false');
+
+  // Literal type annotations:
+
+  test(eva,
+  `
+    (var (zero 0) 0)
+
+    (+ zero 1)
+
+  `,
+  Type.number);
+
+  // Narrowing through comparison:
+
+  test(eva,
+  `
+    (def pick ((name names)) -> "alex"
+      (if (== name "alex")
+        name
+        "alex"))
+
+    (pick "john")
+
+  `,
+  Type.fromString('"alex"'));
+
+  testError(eva,
+  `
+    (def pickJohn ((name names)) -> "john"
+      (if (== name "alex")
+        name
+        "john"))
+
+  `,
+  'Expected ""john"" type for name');
+
+};
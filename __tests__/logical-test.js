@@ -0,0 +1,125 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  test(eva, `(and true false)`, Type.boolean);
+
+  test(eva, `(or (== 1 2) (> 1 0) false)`, Type.boolean);
+
+  test(eva, `(not (== 1 2))`, Type.boolean);
+
+  testError(eva, `(and 1 true)`, 'Expected "boolean" type for 1');
+
+  testError(eva, `(not "x")`, 'Expected "boolean" type for "x"');
+
+  testError(eva, `(or true)`, "Operator 'or' expects at least 2 operands, 1 given");
+
+  // Operands short-circuit with respect to narrowing
+  // (possibly null values are errors with strict null checks):
+
+  const strictEva = new EvaTC({strictNullChecks: true});
+
+  exec(strictEva,
+  `
+    (type Level (or number null))
+
+    (var (level Level) 1)
+
+  `);
+
+  test(strictEva,
+  `
+    (and (== (typeof level) "number") (> (+ 1 level) 0))
+
+  `,
+  Type.boolean);
+
+  test(strictEva,
+  `
+    (or (== level null) (> (+ 1 level) 0))
+
+  `,
+  Type.boolean);
+
+  testError(strictEva,
+  `
+    (and (== level null) (> (+ 1 level) 0))
+
+  `,
+  'Expected "number" type for level');
+
+  // Compound conditions narrow branches:
+
+  test(strictEva,
+  `
+    (var (other Level) 2)
+
+    (if (and (!= level null) (!= other null))
+      (+ level other)
+      0)
+
+  `,
+  Type.number);
+
+  test(strictEva,
+  `
+    (if (or (== level null) (== other null))
+      0
+      (+ level other))
+
+  `,
+  Type.number);
+
+  test(strictEva,
+  `
+    (if (not (== level null))
+      (+ 1 level)
+      0)
+
+  `,
+  Type.number);
+
+  // Truthiness mode:
+
+  const truthyEva = new EvaTC({strictNullChecks: true, truthiness: true});
+
+  exec(truthyEva,
+  `
+    (type Scalar (or number string))
+
+    (var (nick string?) "alex")
+
+  `);
+
+  test(truthyEva,
+  `
+    (if nick
+      (+ "@" nick)
+      "anonymous")
+
+  `,
+  Type.string);
+
+  test(truthyEva,
+  `
+    (or nick "anonymous")
+
+  `,
+  Type.string);
+
+  test(truthyEva,
+  `
+    (and 1 "x")
+
+  `,
+  Type.fromString('Scalar', truthyEva.types));
+
+};
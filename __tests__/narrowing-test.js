@@ -0,0 +1,180 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Narrowing is observable with strict null checks,
+  // where possibly null values are errors:
+
+  const strictEva = new EvaTC({strictNullChecks: true});
+
+  exec(strictEva,
+  `
+    (type Reading (or number null))
+
+    (type Profile
+      (object
+        (nick string?)))
+
+    (var (reading Reading) 10)
+
+    (var (profile Profile) (object (nick "alex")))
+
+  `);
+
+  // Alternate branch gets the remaining types:
+
+  test(strictEva,
+  `
+    (if (== reading null)
+      0
+      (+ reading 1))
+
+  `,
+  Type.number);
+
+  test(strictEva,
+  `
+    (if (== (typeof reading) "null")
+      0
+      (+ reading 1))
+
+  `,
+  Type.number);
+
+  // != narrows the opposite way:
+
+  test(strictEva,
+  `
+    (if (!= (typeof reading) "number")
+      0
+      (+ reading 1))
+
+  `,
+  Type.number);
+
+  testError(strictEva,
+  `
+    (if (!= (typeof reading) "number")
+      (+ reading 1)
+      0)
+
+  `,
+  'Expected "number" type for reading in ["+","reading",1], but got "null" type');
+
+  // While body:
+
+  test(strictEva,
+  `
+    (while (!= reading null)
+      (set reading (+ reading 1)))
+
+  `,
+  Type.number);
+
+  // Assignments are checked against the declared type:
+
+  exec(strictEva,
+  `
+    (class Node null
+      (begin
+
+        (var (next Node?) null)
+
+        (def constructor ((self Node)) -> Node
+          self)))
+
+  `);
+
+  test(strictEva,
+  `
+    (var (n Node?) (new Node))
+
+    (while (!= n null)
+      (set n (prop n next)))
+
+  `,
+  Type.fromString('Node?', strictEva.types));
+
+  test(eva,
+  `
+    (var (x (or number string)) 1)
+
+    (while (== (typeof x) "number")
+      (set x "done"))
+
+  `,
+  Type.fromString('"done"'));
+
+  // Narrowings of assigned references are dropped:
+
+  testError(strictEva,
+  `
+    (if (!= reading null)
+      (begin
+        (set reading null)
+        (+ reading 1))
+      0)
+
+  `,
+  'Expected "number" type for reading in ["+","reading",1], but got "Reading" type');
+
+  testError(strictEva,
+  `
+    (if (!= reading null)
+      (while (!= (typeof reading) "string")
+        (begin
+          (+ reading 1)
+          (set reading null)))
+      0)
+
+  `,
+  'Expected "number" type for reading in ["+","reading",1], but got "(or number null)" type');
+
+  // Property paths:
+
+  test(strictEva,
+  `
+    (if (!= (prop profile nick) null)
+      (+ "@" (prop profile nick))
+      "anonymous")
+
+  `,
+  Type.string);
+
+  testError(strictEva,
+  `
+    (if (== (prop profile nick) null)
+      (+ "@" (prop profile nick))
+      "anonymous")
+
+  `,
+  'Expected "string" type for prop,profile,nick');
+
+  // Literal unions:
+
+  exec(eva,
+  `
+    (type Switch (or "on" "off"))
+
+    (var (state Switch) "on")
+
+  `);
+
+  test(eva,
+  `
+    (if (!= state "on")
+      state
+      "off")
+
+  `,
+  Type.fromString('"off"'));
+
+};
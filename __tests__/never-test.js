@@ -0,0 +1,187 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Functions which always throw:
+
+  exec(eva,
+  `
+    (def fail ((message string)) -> never
+      (throw message))
+
+  `);
+
+  testError(eva,
+  `
+    (def notFail ((message string)) -> never
+      1)
+
+  `,
+  'Expected "never" type for 1');
+
+  // never is assignable to any type:
+
+  test(eva,
+  `
+    (def parse ((s string)) -> number
+      (if (== s "")
+        (fail "Empty string")
+        1))
+
+    (parse "1")
+
+  `,
+  Type.number);
+
+  // Branches which don't return don't affect the type,
+  // and the code after them is reachable:
+
+  test(eva,
+  `
+    (var x (if (== 1 1) 10 (throw "Error")))
+
+    (+ x 1)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (while (== 1 2)
+      (throw "Error"))
+
+    10
+
+  `,
+  Type.fromString('10'));
+
+  // Unreachable code:
+
+  testError(eva,
+  `
+    (fail "Error")
+
+    10
+
+  `,
+  'Unreachable code 10 after (fail "Error").');
+
+  testError(eva,
+  `
+    (def check ((x number)) -> number
+      (begin
+        (throw "Error")
+        x))
+
+  `,
+  'Unreachable code x after (throw "Error").');
+
+  // Declarations of the never type don't make code unreachable:
+
+  test(eva,
+  `
+    (type N never)
+
+    1
+
+  `,
+  Type.fromString('1'));
+
+  test(eva,
+  `
+    (def impossible () -> number
+      (begin
+        (type X (and number string))
+        1))
+
+    (impossible)
+
+  `,
+  Type.number);
+
+  // Exhaustive narrowing:
+
+  exec(eva,
+  `
+    (type Primitive (or number string boolean))
+
+  `);
+
+  test(eva,
+  `
+    (def describe ((p Primitive)) -> string
+      (if (== (typeof p) "number")
+        "number"
+        (if (== (typeof p) "string")
+          "string"
+          (if (== (typeof p) "boolean")
+            "boolean"
+            (assert-never p)))))
+
+    (describe 1)
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (def describeSome ((p Primitive)) -> string
+      (if (== (typeof p) "number")
+        "number"
+        (if (== (typeof p) "string")
+          "string"
+          (assert-never p))))
+
+  `,
+  'Expected "never" type for p in ["assert-never","p"], but got "boolean" type.');
+
+  // Checks of a type which doesn't overlap narrow to never:
+
+  test(eva,
+  `
+    (var (x number) 1)
+
+    (if (== (typeof x) "string")
+      x
+      "t")
+
+  `,
+  Type.fromString('"t"'));
+
+  test(eva,
+  `
+    (if (== (typeof x) "string")
+      (assert-never x)
+      (+ x 1))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (var (y (or number string)) 1)
+
+    (if (== (typeof y) "boolean")
+      (assert-never y)
+      0)
+
+  `,
+  Type.fromString('0'));
+
+  test(eva,
+  `
+    (if (== (typeof y) "boolean")
+      y
+      0)
+
+  `,
+  Type.fromString('0'));
+
+};
@@ -0,0 +1,165 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  test(eva, `null`, Type.null);
+
+  // Without strict null checks, null is accepted by any type:
+
+  test(eva,
+  `
+    (var (x number) null)
+
+    x
+
+  `,
+  Type.number);
+
+  // Strict null checks:
+
+  const strictEva = new EvaTC({strictNullChecks: true});
+
+  testError(strictEva,
+  `
+    (var (x number) null)
+
+  `,
+  'Expected "number" type for null');
+
+  // Optional types:
+
+  test(strictEva,
+  `
+    (var (y number?) null)
+    (set y 10)
+
+    y
+
+  `,
+  Type.fromString('number?'));
+
+  testError(strictEva,
+  `
+    (var (z number) y)
+
+  `,
+  'Expected "number" type for y');
+
+  testError(strictEva,
+  `
+    (+ 1 y)
+
+  `,
+  'Expected "number" type for y');
+
+  testError(strictEva,
+  `
+    (var (w number?) null)
+    (var (n number) (+ w 1))
+
+  `,
+  'Expected "number" type for w');
+
+  testError(strictEva,
+  `
+    (> w 0)
+
+  `,
+  'Expected "number" type for w in [">","w",0], but got "number?" type');
+
+  test(strictEva,
+  `
+    (def find ((id number)) -> string?
+      (if (== id 1)
+        (begin
+          (var (found string?) "John")
+          found)
+        null))
+
+    (find 1)
+
+  `,
+  Type.fromString('string?'));
+
+  // Possibly null values:
+
+  exec(strictEva,
+  `
+    (class Node null
+      (begin
+
+        (var (value number) 0)
+
+        (def constructor ((self Node) (value number)) -> Node
+          (begin
+            (set (prop self value) value)
+            self))))
+
+    (var (node Node?) null)
+
+    (var (callback Fn<number<number>>?) null)
+
+  `);
+
+  testError(strictEva,
+  `
+    (prop node value)
+
+  `,
+  'Value node is possibly null');
+
+  testError(strictEva,
+  `
+    (set (prop node value) 1)
+
+  `,
+  'Value node is possibly null');
+
+  testError(strictEva,
+  `
+    (callback 1)
+
+  `,
+  'Value callback is possibly null');
+
+  // Narrowing with a null check:
+
+  test(strictEva,
+  `
+    (if (!= node null)
+      (prop node value)
+      0)
+
+  `,
+  Type.number);
+
+  test(strictEva,
+  `
+    (if (!= callback null)
+      (callback 1)
+      0)
+
+  `,
+  Type.number);
+
+  test(strictEva,
+  `
+    (def getValue ((n Node?)) -> number
+      (if (!= n null)
+        (prop n value)
+        0))
+
+    (getValue (new Node 1))
+
+  `,
+  Type.number);
+
+};
@@ -0,0 +1,190 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Object type declaration:
+
+  exec(eva,
+  `
+    (type User
+      (object
+        (name string)
+        (age number)))
+
+  `);
+
+  // Object literal:
+
+  test(eva,
+  `
+    (var (user User)
+      (object
+        (name "John")
+        (age 25)))
+
+    user
+
+  `,
+  Type.fromString('User', eva.types));
+
+  // Property access:
+
+  test(eva,
+  `
+    (prop user name)
+
+  `,
+  Type.string);
+
+  // Property update:
+
+  test(eva,
+  `
+    (set (prop user age) 26)
+
+  `,
+  Type.fromString('26'));
+
+  testError(eva,
+  `
+    (set (prop user age) "26")
+
+  `,
+  'Expected "number" type');
+
+  test(eva,
+  `
+    (type U2 User)
+
+    (var (u U2) user)
+
+    (set (prop u name) "y")
+
+  `,
+  Type.fromString('"y"'));
+
+  testError(eva,
+  `
+    (var (x number) 1)
+
+    (set (prop x foo) 1)
+
+  `,
+  'Expected object type for x in set,prop,x,foo,1, but got "number" type.');
+
+  // Structural equality: anonymous object of the same shape.
+
+  test(eva,
+  `
+    (def greet ((u User)) -> string
+      (+ "Hello, " (prop u name)))
+
+    (greet (object (age 30) (name "Alex")))
+
+  `,
+  Type.string);
+
+  // Different shapes are not equal:
+
+  testError(eva,
+  `
+    (var (guest User) (object (name "Guest")))
+
+  `,
+  'Expected "User" type');
+
+  testError(eva,
+  `
+    (var (admin User) (object (name "Admin") (age "old")))
+
+  `,
+  'Expected "User" type');
+
+  testError(eva,
+  `
+    (prop user email)
+
+  `,
+  'Property "email" is not defined in User.');
+
+  // Fields are mutable, so their types should be the same,
+  // otherwise (set (prop named name) 1) would break a string field:
+
+  exec(eva,
+  `
+    (type Named (object (name (or string number))))
+
+    (var (label (object (name string))) (object (name "x")))
+
+  `);
+
+  testError(eva,
+  `
+    (var (named Named) label)
+
+  `,
+  'Expected "Named" type for label in ["var",["named","Named"],"label"], but got "(object (name string))" type.');
+
+  test(eva,
+  `
+    (var (named Named) (object (name "x") (age 1)))
+
+    named
+
+  `,
+  Type.fromString('Named', eva.types));
+
+  // Literal fields are checked against the field types:
+
+  exec(eva,
+  `
+    (type Circle (object (kind "circle") (r number)))
+
+    (type Square (object (kind "square") (side number)))
+
+    (type Shape (or Circle Square))
+
+    (type S (object (kind "circle")))
+
+  `);
+
+  test(eva,
+  `
+    (var (s S) (object (kind "circle")))
+
+    s
+
+  `,
+  Type.fromString('S', eva.types));
+
+  test(eva,
+  `
+    (var (shape Shape) (object (kind "square") (side 2)))
+
+    shape
+
+  `,
+  Type.fromString('Shape', eva.types));
+
+  testError(eva,
+  `
+    (var (c Circle) (object (kind "square") (r 1)))
+
+  `,
+  'Expected "Circle" type');
+
+  testError(eva,
+  `
+    (var (sh Shape) (object (kind "circle") (side 2)))
+
+  `,
+  'Expected "Shape" type');
+
+};
@@ -20,6 +20,30 @@ const tests = [
   require('./class-test.js'),
   require('./union-test.js'),
   require('./generics-test.js'),
+  require('./object-test.js'),
+  require('./interface-test.js'),
+  require('./array-test.js'),
+  require('./literal-test.js'),
+  require('./async-test.js'),
+  require('./tuple-test.js'),
+  require('./generic-class-test.js'),
+  require('./generic-alias-test.js'),
+  require('./bounded-generics-test.js'),
+  require('./null-test.js'),
+  require('./inference-test.js'),
+  require('./bidirectional-test.js'),
+  require('./intersection-test.js'),
+  require('./enum-test.js'),
+  require('./narrowing-test.js'),
+  require('./logical-test.js'),
+  require('./instanceof-test.js'),
+  require('./type-guard-test.js'),
+  require('./never-test.js'),
+  require('./assignability-test.js'),
+  require('./join-test.js'),
+  require('./variance-test.js'),
+  require('./type-parser-test.js'),
+  require('./type-scope-test.js'),
 ];
 
 
@@ -10,12 +10,12 @@ const {test} = require('./test-util');
 
 module.exports = eva => {
   // Numbers.
-  test(eva, 42, Type.number);
+  test(eva, 42, Type.fromString('42'));
 
   // Strings.
-  test(eva, '"hello"', Type.string);
+  test(eva, '"hello"', Type.fromString('"hello"'));
 
   // Boolean.
-  test(eva, true, Type.boolean);
-  test(eva, false, Type.boolean);
+  test(eva, true, Type.fromString('true'));
+  test(eva, false, Type.fromString('false'));
 };
\ No newline at end of file
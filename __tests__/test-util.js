@@ -24,7 +24,24 @@ function test(eva, exp, expected) {
   }
 }
 
+function testError(eva, exp, expected) {
+  let error = null;
+  try {
+    exec(eva, exp);
+  } catch (e) {
+    error = e instanceof Error ? e.message : e;
+  }
+  try {
+    assert.notStrictEqual(error, null);
+    assert.strictEqual(error.includes(expected), true);
+  } catch (e) {
+    console.log(`\nExpected error "${expected}" for ${exp}, but got ${error}.\n`);
+    throw e;
+  }
+}
+
 module.exports = {
   exec,
   test,
+  testError,
 };
\ No newline at end of file
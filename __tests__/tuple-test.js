@@ -0,0 +1,171 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Tuple literal:
+
+  test(eva,
+  `
+    (tuple 1 "x")
+
+  `,
+  Type.fromString('Tuple<number,string>'));
+
+  // Tuples returned from functions:
+
+  exec(eva,
+  `
+    (def minMax ((x number) (y number)) -> Tuple<number,number>
+      (if (< x y)
+        (tuple x y)
+        (tuple y x)))
+
+    (def entry ((key string) (value number)) -> (tuple string number)
+      (tuple key value))
+
+  `);
+
+  test(eva,
+  `
+    (var (pair Tuple<string,number>) (entry "x" 10))
+
+    pair
+
+  `,
+  Type.fromString('Tuple<string,number>'));
+
+  // Positional access:
+
+  test(eva,
+  `
+    (idx pair 0)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (idx pair 1)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (set (idx pair 1) 20)
+
+  `,
+  Type.fromString('20'));
+
+  testError(eva,
+  `
+    (idx pair 2)
+
+  `,
+  'Tuple index 2 is out of bounds for "Tuple<string,number>"');
+
+  testError(eva,
+  `
+    (var i 0)
+    (idx pair i)
+
+  `,
+  'Tuple index should be a number literal');
+
+  testError(eva,
+  `
+    (set (idx pair 0) 5)
+
+  `,
+  'Expected "string" type');
+
+  // Destructuring:
+
+  test(eva,
+  `
+    (var ((low high) Tuple<number,number>) (minMax 10 5))
+
+    (- high low)
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (var ((key value) (tuple string number)) (entry "y" 1))
+
+    key
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (var ((first) Tuple<number,number>) (minMax 1 2))
+
+  `,
+  'Tuple "Tuple<number,number>" has 2 elements, 1 names given');
+
+  testError(eva,
+  `
+    (var ((k v) Tuple<number,string>) (entry "z" 2))
+
+  `,
+  'Expected "Tuple<number,string>" type');
+
+  // Destructuring without a type, inferred from the value:
+
+  test(eva,
+  `
+    (var ((a b)) (tuple 1 "x"))
+
+    (set a 2)
+
+    (+ b "y")
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (var ((lo hi)) (minMax 3 4))
+
+    (- hi lo)
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (var ((c d)) (array 1 2))
+
+  `,
+  'Tuple destructuring requires a tuple type, got "Array<number>" in (var ((c d)) (array 1 2)).');
+
+  testError(eva,
+  `
+    (var ((e f) number) 1)
+
+  `,
+  'Tuple destructuring requires a tuple type, got "number" in (var ((e f) number) 1).');
+
+  // Nested tuples:
+
+  test(eva,
+  `
+    (var (nested Tuple<Tuple<number,string>,Array<number>>)
+      (tuple (tuple 1 "a") (array 1 2)))
+
+    (idx (idx nested 0) 1)
+
+  `,
+  Type.string);
+
+};
@@ -0,0 +1,87 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (type Visitor
+      (object
+        (login string)))
+
+    (type Entry (or Visitor number))
+
+    (def isVisitor ((x any)) -> (is x Visitor)
+      (!= (typeof x) "number"))
+
+    (var (entry Entry) 10)
+
+  `);
+
+  // Guard calls are boolean:
+
+  test(eva, `(isVisitor entry)`, Type.boolean);
+
+  // Guard calls narrow the argument:
+
+  test(eva,
+  `
+    (if (isVisitor entry)
+      (prop entry login)
+      "guest")
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (if (isVisitor entry)
+      0
+      (+ entry 1))
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (if (not (isVisitor entry))
+      "guest"
+      (prop entry login))
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (and (isVisitor entry) (== (prop entry login) "admin"))
+
+  `,
+  Type.boolean);
+
+  // Guard body should return boolean:
+
+  testError(eva,
+  `
+    (def isNumber ((x any)) -> (is x number)
+      1)
+
+  `,
+  'Expected "boolean" type for 1');
+
+  // Guarded parameter should exist:
+
+  testError(eva,
+  `
+    (def isString ((x any)) -> (is y string)
+      true)
+
+  `,
+  'Type guard (is y string) refers to unknown parameter "y".');
+
+};
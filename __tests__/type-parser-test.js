@@ -0,0 +1,146 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const assert = require('assert');
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (class Coord null
+      (begin
+
+        (var (x number) 0)
+
+        (def constructor ((self Coord) (x number)) -> Coord
+          (begin
+            (set (prop self x) x)
+            self))))
+
+  `);
+
+  // Class parameters:
+
+  test(eva,
+  `
+    (def getX ((c Coord)) -> number
+      (prop c x))
+
+    (def applyCoord ((f Fn<number<Coord>>)) -> number
+      (f (new Coord 10)))
+
+    (applyCoord getX)
+
+  `,
+  Type.number);
+
+  // Nested function types:
+
+  test(eva,
+  `
+    (var (adder Fn<Fn<number<number>><number>>)
+      (lambda ((n number)) -> Fn<number<number>>
+        (lambda ((x number)) -> number (+ x n))))
+
+    ((adder 1) 2)
+
+  `,
+  Type.number);
+
+  assert.ok(Type.fromString('Fn<Fn<number<number>><number>>').returnType instanceof Type.Function);
+  assert.strictEqual(Type.fromString('Fn<Array<number><string>>').paramTypes[0], Type.string);
+
+  // Inline unions:
+
+  test(eva,
+  `
+    (def describe ((v (or number string))) -> string
+      (if (== (typeof v) "number") "number" v))
+
+    (describe 10)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (array 1 "two")
+
+  `,
+  Type.fromString('Array<(or number string)>'));
+
+  // Grouping:
+
+  assert.ok(Type.fromString('(Fn<number>)?').optionTypes[0] instanceof Type.Function);
+
+  // Lists in type arguments of the source annotations:
+
+  test(eva,
+  `
+    (var (xs Array<(or number string)>) (array 1 "x"))
+
+    xs
+
+  `,
+  Type.fromString('Array<(or number string)>'));
+
+  test(eva,
+  `
+    (def apply ((f Fn<number<(or number string)>>) (v string)) -> number
+      (f v))
+
+    (apply (lambda ((x (or number string))) -> number 1) "v")
+
+  `,
+  Type.number);
+
+  test(eva,
+  `
+    (var (pairs Array<(tuple number (or string boolean))>?) null)
+
+    pairs
+
+  `,
+  Type.fromString('Array<(tuple number (or string boolean))>?'));
+
+  testError(eva,
+  `
+    (var (ys Array<(or number string)>) (array true))
+
+  `,
+  'Expected "Array<(or number string)>" type for array,true');
+
+  // Parse errors point at the offending character:
+
+  testError(eva,
+  `
+    (var (xs Array<number>>) (array 1))
+
+  `,
+  'Unexpected ">", expected end of type at position 13 in Array<number>>');
+
+  testError(eva,
+  `
+    (def broken ((f Fn<number<Coord,>>)) -> number 1)
+
+  `,
+  'Unexpected ">", expected type at position 16');
+
+  testError(eva,
+  `
+    (var (p Fn<number<Missing>>) 1)
+
+  `,
+  'Unknown type Missing at position 10');
+
+  assert.throws(
+    () => Type.fromString('(or number'),
+    e => e.includes('at position 10 in (or number:\n\n  (or number\n            ^'),
+  );
+
+};
@@ -0,0 +1,194 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const EvaTC = require('../src/EvaTC');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  // Types are declared per checker:
+
+  exec(eva,
+  `
+    (type Unit number)
+
+  `);
+
+  const otherEva = new EvaTC();
+
+  testError(otherEva,
+  `
+    (var (u Unit) 1)
+
+  `,
+  'Unknown type Unit');
+
+  // Block types go out of scope at the end of the block:
+
+  test(eva,
+  `
+    (begin
+      (type Label string)
+      (var (l Label) "x")
+      l)
+
+  `,
+  Type.string);
+
+  testError(eva,
+  `
+    (var (l Label) "y")
+
+  `,
+  'Unknown type Label');
+
+  test(eva,
+  `
+    (def count () -> number
+      (begin
+        (type Count number)
+        (var (c Count) 1)
+        c))
+
+    (count)
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (var (c Count) 1)
+
+  `,
+  'Unknown type Count');
+
+  test(eva,
+  `
+    (begin
+      (class Temp null
+        (begin
+          (var (t number) 0)
+          (def constructor ((self Temp)) -> Temp
+            self)))
+      (prop (new Temp) t))
+
+  `,
+  Type.number);
+
+  testError(eva,
+  `
+    (new Temp)
+
+  `,
+  'Unknown type Temp');
+
+  // Inner types shadow the outer ones:
+
+  test(eva,
+  `
+    (begin
+      (type Unit string)
+      (var (s Unit) "s")
+      s)
+
+  `,
+  Type.string);
+
+  test(eva,
+  `
+    (var (n Unit) 1)
+
+    n
+
+  `,
+  Type.fromString('Unit', eva.types));
+
+  testError(eva,
+  `
+    (var (m Unit) "m")
+
+  `,
+  'Expected "Unit" type for "m"');
+
+  // Shadowed types are different types with the same name:
+
+  testError(eva,
+  `
+    (type T number)
+    (var (a T) 1)
+
+    (begin
+      (type T string)
+      (var (b T) a)
+      (+ b "s"))
+
+  `,
+  'Expected "T" type for a');
+
+  testError(eva,
+  `
+    (class A null
+      (begin
+        (def constructor ((self A)) -> A
+          self)))
+
+    (def make () -> A
+      (begin
+        (class A null
+          (begin
+            (var (secret number) 0)
+            (def constructor ((self A)) -> A
+              self)))
+        (new A)))
+
+  `,
+  'Expected "A" type for new,A');
+
+  // Types can't be redeclared in the same scope:
+
+  testError(eva,
+  `
+    (type Unit boolean)
+
+  `,
+  'Type Unit is already defined');
+
+  testError(eva,
+  `
+    (type number string)
+
+  `,
+  'Type number is already defined');
+
+  // Generics are instantiated in the scope of the declaration:
+
+  test(eva,
+  `
+    (def scale <K> ((x K) (factor Unit)) -> K
+      x)
+
+    (begin
+      (type Unit string)
+      (scale true 10))
+
+  `,
+  Type.boolean);
+
+  test(eva,
+  `
+    (def wrap <K> ((x K)) -> Array<K>
+      (array x))
+
+    (begin
+      (type Local (or number string))
+      (var (v Local) 1)
+      (idx (wrap v) 0))
+
+  `,
+  Type.fromString('(or number string)'));
+
+};
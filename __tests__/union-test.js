@@ -24,19 +24,13 @@ module.exports = eva => {
     x
 
   `,
-  Type.value);
+  Type.fromString('value', eva.types));
 
   test(eva,
   `
     x
   `,
-  Type.number);
-
-  test(eva,
-  `
-    x
-  `,
-  Type.string);
+  Type.fromString('ID', eva.types));
 
   test(eva,
   `
@@ -45,14 +39,14 @@ module.exports = eva => {
     y
 
   `,
-  Type.value);
+  Type.fromString('value', eva.types));
 
   test(eva,
   `
     (var (a value) 10)
     (var (b ID) "x")
 
-    (def process ((id ID)) -> number
+    (def process ((id ID)) -> value
       (+ a id))
 
     (process b)
@@ -60,7 +54,7 @@ module.exports = eva => {
     (+ a b)
 
   `,
-  Type.number);
+  Type.fromString('value', eva.types));
 
   test(eva,
   `
@@ -74,7 +68,7 @@ module.exports = eva => {
     (accept 10)
 
   `,
-  Type.number);
+  Type.fromString('value', eva.types));
 
   test(eva,
   `
@@ -82,7 +76,7 @@ module.exports = eva => {
     (accept "x")
 
   `,
-  Type.string);
+  Type.fromString('value', eva.types));
 
 
 
@@ -0,0 +1,189 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const {exec, test, testError} = require('./test-util');
+const Type = require('../src/Type');
+
+module.exports = eva => {
+
+  exec(eva,
+  `
+    (class Plant null
+      (begin
+
+        (var (height number) 0)
+
+        (def constructor ((self Plant)) -> Plant
+          self)
+
+        (def water ((self Plant) (amount number)) -> Plant
+          (begin
+            (set (prop self height) (+ (prop self height) amount))
+            self))))
+
+    (class Flower Plant
+      (begin
+        (var (petals number) 5)))
+
+    (def grow ((f Fn<Plant<Flower>>)) -> Plant
+      (f (new Flower)))
+
+    (def tend ((f Fn<Flower<Plant>>)) -> Flower
+      (f (new Plant)))
+
+    (var rose (new Flower))
+
+  `);
+
+  // Parameters are contravariant, return type is covariant:
+
+  test(eva,
+  `
+    (def bloom ((p Plant)) -> Flower
+      (new Flower))
+
+    (grow bloom)
+
+  `,
+  Type.fromString('Plant', eva.types));
+
+  testError(eva,
+  `
+    (def pick ((f Flower)) -> Flower
+      f)
+
+    (tend pick)
+
+  `,
+  'parameter 1 expects "Flower", but got "Plant"');
+
+  testError(eva,
+  `
+    (def trim ((p Plant)) -> Plant
+      p)
+
+    (tend trim)
+
+  `,
+  'return type "Plant" is not assignable to "Flower"');
+
+  testError(eva,
+  `
+    (def uproot () -> Flower
+      (new Flower))
+
+    (tend uproot)
+
+  `,
+  'expected 1 parameters, but got 0');
+
+  // Methods:
+
+  test(eva,
+  `
+    (def feed ((f Fn<Plant<Flower,number>>)) -> Plant
+      (f rose 10))
+
+    (feed (prop rose water))
+
+  `,
+  Type.fromString('Plant', eva.types));
+
+  testError(eva,
+  `
+    (def soak ((f Fn<Flower<Flower,number>>)) -> Flower
+      (f rose 10))
+
+    (soak (prop rose water))
+
+  `,
+  'return type "Plant" is not assignable to "Flower"');
+
+  // Generic functions are instantiated for the expected type:
+
+  test(eva,
+  `
+    (def keep <K> ((x K)) -> K
+      x)
+
+    (grow keep)
+
+  `,
+  Type.fromString('Plant', eva.types));
+
+  testError(eva,
+  `
+    (tend keep)
+
+  `,
+  'return type "Plant" is not assignable to "Flower"');
+
+  // Overridden methods are checked against the super class:
+
+  test(eva,
+  `
+    (class Rose Flower
+      (begin
+        (def water ((self Rose) (amount (or number string))) -> Flower
+          self)))
+
+    ((prop (new Rose) water) (new Rose) 1)
+
+  `,
+  Type.fromString('Flower', eva.types));
+
+  testError(eva,
+  `
+    (class Tulip Flower
+      (begin
+        (def water ((self Tulip) (amount string)) -> Plant
+          self)))
+
+  `,
+  'Member "water" of class Tulip has type "Fn<Plant<Tulip,string>>", but super class Flower expects "Fn<Plant<Plant,number>>": parameter 2 expects "string", but got "number".');
+
+  testError(eva,
+  `
+    (class Fern Plant
+      (begin
+        (def water ((self Fern) (amount number)) -> number
+          amount)))
+
+  `,
+  'return type "number" is not assignable to "Plant"');
+
+  // Higher-order parameters:
+
+  exec(eva,
+  `
+    (type grower Fn<Plant<Flower>>)
+
+    (def plant ((g Fn<Plant<grower>>)) -> Plant
+      (g bloom))
+
+  `);
+
+  test(eva,
+  `
+    (def seed ((g Fn<any<Flower>>)) -> Flower
+      (new Flower))
+
+    (plant seed)
+
+  `,
+  Type.fromString('Plant', eva.types));
+
+  testError(eva,
+  `
+    (def sprout ((g Fn<Flower<Flower>>)) -> Flower
+      (new Flower))
+
+    (plant sprout)
+
+  `,
+  'parameter 1, return type "Plant" is not assignable to "Flower"');
+
+};
@@ -111,8 +111,41 @@ const lexRules = [[/^\(/, function() { return "'('"; }],
 [/^\s+/, function() { /* skip whitespace */ }],
 [/^"[^\"]*"/, function() { return 'STRING' }],
 [/^\d+/, function() { return 'NUMBER' }],
-[/^[\w\-+*=<>/:,!]+/, function() { return 'SYMBOL' }]];
-const lexRulesByConditions = {"INITIAL":[0,1,2,3,4,5,6,7]};
+[/^[\w\-+*=<>/:,!?]*<(?=\()/, function() {
+  // Type arguments with lists: Array<(or number string)>,
+  // the token extends through the balanced lists.
+  const start = this._cursor - yytext.length;
+  let end = this._cursor;
+  let depth = 0;
+
+  while (end < this._string.length) {
+    const char = this._string[end];
+
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      if (depth === 0) {
+        break;
+      }
+      depth--;
+    } else if (depth === 0 && !/[\w\-+*=<>/:,!?]/.test(char)) {
+      break;
+    }
+
+    end++;
+  }
+
+  yytext = this._string.slice(start, end);
+  yyleng = yytext.length;
+
+  this._cursor = start;
+  this._captureLocation(yytext);
+  this._cursor = end;
+
+  return 'SYMBOL';
+}],
+[/^[\w\-+*=<>/:,!?]+/, function() { return 'SYMBOL' }]];
+const lexRulesByConditions = {"INITIAL":[0,1,2,3,4,5,6,7,8]};
 
 const EOF_TOKEN = {
   type: EOF,
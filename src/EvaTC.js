@@ -6,6 +6,7 @@
 
 const Type = require('./Type');
 const TypeEnvironment = require('./TypeEnvironment');
+const TypeRegistry = require('./TypeRegistry');
 
 /**
  * Typed Eva: static typecheker.
@@ -13,19 +14,53 @@ const TypeEnvironment = require('./TypeEnvironment');
 class EvaTC {
   /**
    * Creates an Eva instance with the global environment.
+   *
+   * In the strict null checks mode plain types exclude null,
+   * which is accepted only by optional types: number?
+   *
+   * In the truthiness mode conditions and logical operands
+   * can be of any type, not only boolean: (if x ...)
    */
-  constructor() {
+  constructor({strictNullChecks = false, truthiness = false} = {}) {
     /**
      * Create the Global TypeEnvironment per Eva instance.
      */
     this.global = this._createGlobal();
+
+    /**
+     * Type scope of the checked code, starting from the global
+     * type scope per Eva instance: (type ...), (class ...), etc.
+     */
+    this.types = new TypeRegistry({}, Type.builtins);
+
+    /**
+     * Whether null is excluded from plain types.
+     */
+    this.strictNullChecks = strictNullChecks;
+
+    /**
+     * Whether values of any type can be used as conditions.
+     */
+    this.truthiness = truthiness;
+
+    /**
+     * Type variables created while checking the current code.
+     */
+    this.typeVariables = [];
   }
 
   /**
    * Evaluates global code wrapping into a block.
    */
   tcGlobal(exp) {
-    return this._tcBody(exp, this.global);
+    this.typeVariables = [];
+
+    const type_ = this._tcBody(exp, this.global);
+
+    // Inferred types should be fully resolved:
+    this._checkResolved(type_);
+
+    return this._resolveType(type_);
   }
 
   /**
@@ -38,6 +73,265 @@ class EvaTC {
     return this.tc(body, env);
   }
 
+  /**
+   * Checks body (block or expression) against the expected type,
+   * which is pushed into the last expression.
+   */
+  _checkBody(body, expectedType, env) {
+    if (body[0] === 'begin') {
+      const [_tag, ...expressions] = body;
+      const last = expressions.pop();
+
+      expressions.forEach((exp, index) => {
+        this._expectReachable(this.tc(exp, env), exp, expressions[index + 1] || last);
+      });
+
+      return this.check(last, expectedType, env, body);
+    }
+    return this.check(body, expectedType, env);
+  }
+
+  /**
+   * Checks expression against the expected type.
+   *
+   * Checking mode pushes the expected type into the expression,
+   * so lambda parameters don't need annotations:
+   *
+   * (map xs (lambda (x) (* x 2)))
+   *
+   * Other expressions are inferred, and compared to the expected type.
+   */
+  check(exp, expectedType, env = this.global, parentExp = exp) {
+    const type_ = this._unalias(this._resolveType(expectedType));
+
+    // Lambda gets parameter and return types from the function type:
+    if (type_ instanceof Type.Function && this._isLambda(exp)) {
+      const fnType = this._checkLambda(exp, type_, env);
+      return this._expect(fnType, expectedType, exp, parentExp);
+    }
+
+    if (Array.isArray(exp)) {
+      // Both branches are checked against the expected type:
+      if (exp[0] === 'if') {
+        const [_tag, condition, consequent, alternate] = exp;
+
+        const [consequentEnv, alternateEnv] = this._tcCondition(condition, env, exp);
+
+        this.check(consequent, expectedType, consequentEnv, exp);
+
+        // No else branch evaluates to null:
+        if (alternate === undefined) {
+          this._expect(Type.null, expectedType, 'null', exp);
+        } else {
+          this.check(alternate, expectedType, alternateEnv, exp);
+        }
+
+        return expectedType;
+      }
+
+      // Last expression of a block is checked:
+      if (exp[0] === 'begin') {
+        return this._inTypeScope(() =>
+          this._checkBody(exp, expectedType, new TypeEnvironment({}, env))
+        );
+      }
+
+      // Elements are checked against the element type of the array
+      // type, or of one of the union options, which also gives
+      // the type to empty arrays:
+      // (var (xs Array<(or number string)>) (array 1 "x"))
+      // (var (ys Array<number>?) (array))
+      if (exp[0] === 'array') {
+        const elements = exp.slice(1);
+        const arrayTypes = type_ instanceof Type.Union
+          ? type_.optionTypes.map(t => this._unalias(t))
+          : [type_];
+
+        const isCompatible = arrayTypes.some(t =>
+          t instanceof Type.Array &&
+          this._elementsCompatible(elements, elements.map(() => t.elementType), env)
+        );
+
+        if (isCompatible) {
+          return expectedType;
+        }
+      }
+
+      if (
+        exp[0] === 'tuple' &&
+        type_ instanceof Type.Tuple &&
+        type_.elementTypes.length === exp.length - 1
+      ) {
+        if (this._elementsCompatible(exp.slice(1), type_.elementTypes, env)) {
+          return expectedType;
+        }
+      }
+
+      // Fields are checked against the field types of the object
+      // type, or of one of the union options:
+      // (var (s Shape) (object (kind "circle") (r 10)))
+      if (exp[0] === 'object') {
+        const objectTypes = type_ instanceof Type.Union
+          ? type_.optionTypes.map(t => this._unalias(t))
+          : [type_];
+
+        if (objectTypes.some(t => this._fieldsCompatible(exp.slice(1), t, env))) {
+          return expectedType;
+        }
+      }
+    }
+
+    let actualType = this.tc(exp, env);
+
+    // Generic function is instantiated for the expected function type:
+    //
+    // (def apply ((f Fn<number<number>>)) -> number (f 1))
+    // (apply identity) -> identity: Fn<number<number>>
+    if (type_ instanceof Type.Function && actualType instanceof Type.GenericFunction) {
+      actualType = this._instantiateGenericFunction(actualType, type_, exp);
+    }
+
+    return this._expect(actualType, expectedType, exp, parentExp);
+  }
+
+  /**
+   * Instantiates a generic function for the expected function type,
+   * generic types are inferred from the expected parameter types.
+   */
+  _instantiateGenericFunction(fn, expectedType, exp) {
+    if (fn.params.length !== expectedType.paramTypes.length) {
+      return fn;
+    }
+
+    const genericTypesMap = this._inferGenericTypesMap(
+      fn,
+      expectedType.paramTypes,
+      exp,
+    );
+
+    this._checkGenericBounds(fn, genericTypesMap, exp);
+
+    return this._instantiateGenericFunctionType(fn, genericTypesMap);
+  }
+
+  /**
+   * Creates a function type of a generic function for the actual types.
+   *
+   * Bounded generic functions are checked once at declaration, and
+   * only the signature is instantiated. Other generic functions are
+   * checked with the generic types bound to the actual types.
+   */
+  _instantiateGenericFunctionType(fn, genericTypesMap) {
+    // Notice that we pass env as fn.env, a closure,
+    // and the type scope of the function declaration.
+    return this._withTypes(
+      this._createGenericScope(fn.types, genericTypesMap),
+      () => {
+        if (fn.bounds.size === 0) {
+          return this._tcFunction(
+            fn.params,
+            fn.returnType,
+            fn.body,
+            fn.env,
+            fn.isAsync,
+          );
+        }
+
+        let returnType = this._typeFromString(fn.returnType);
+
+        if (returnType instanceof Type.Guard) {
+          returnType = this._createGuardType(returnType, fn.params);
+        }
+
+        return new Type.Function({
+          paramTypes: fn.params.map(([_name, paramType]) => this._typeFromString(paramType)),
+          returnType: fn.isAsync ? new Type.Promise({valueType: returnType}) : returnType,
+        });
+      },
+    );
+  }
+
+  /**
+   * Whether the fields of an object literal are accepted
+   * by the object type (extra fields are allowed).
+   */
+  _fieldsCompatible(entries, objectType, env) {
+    if (!(objectType instanceof Type.Object)) {
+      return false;
+    }
+
+    const fields = entries.filter(([fieldName]) => objectType.fields.has(fieldName));
+
+    return (
+      fields.length === objectType.fields.size &&
+      this._elementsCompatible(
+        fields.map(([_name, value]) => value),
+        fields.map(([fieldName]) => objectType.fields.get(fieldName)),
+        env,
+      )
+    );
+  }
+
+  /**
+   * Whether the elements of an array or tuple literal
+   * are accepted by the expected element types.
+   *
+   * Elements are checked against the element types, so nested
+   * literals get them too: (tail (object (head 2) (tail null)))
+   */
+  _elementsCompatible(elements, elementTypes, env) {
+    return elements.every((element, index) => {
+      try {
+        this.check(element, elementTypes[index], env);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Checks lambda against the expected function type.
+   *
+   * Not annotated parameters and return type are taken
+   * from the function type: (lambda (x) (* x 2))
+   */
+  _checkLambda(exp, fnType, env) {
+    const isAsync = exp[0] === 'async';
+    const lambdaExp = isAsync ? exp.slice(1) : exp;
+
+    const [_tag, params] = lambdaExp;
+
+    // Generic lambdas, and lambdas of other arity are inferred:
+    if (
+      this._isGenericLambdaFunction(lambdaExp) ||
+      !Array.isArray(params) ||
+      params.length !== fnType.paramTypes.length
+    ) {
+      return this.tc(exp, env);
+    }
+
+    const annotatedParams = params.map((param, index) =>
+      typeof param === 'string' ? [param, fnType.paramTypes[index]] : param
+    );
+
+    // Async functions return promises of their return type:
+    let returnType = this._prune(fnType.returnType);
+
+    if (isAsync) {
+      returnType = returnType instanceof Type.Promise ? returnType.valueType : null;
+    }
+
+    // Annotated return type: (lambda (x) -> number (* x 2))
+    if (lambdaExp.length === 5) {
+      returnType = lambdaExp[3];
+    }
+
+    const body = lambdaExp[lambdaExp.length - 1];
+
+    return this._tcFunction(annotatedParams, returnType, body, env, isAsync);
+  }
+
   /**
    * Infers and validates type of an expression.
    */
@@ -47,23 +341,33 @@ class EvaTC {
 
     /**
      * Numbers: 10
+     *
+     * Literals have literal types, which widen to
+     * their base type (10 -> number).
      */
     if (this._isNumber(exp)) {
-      return Type.number;
+      return Type.Literal.fromString(exp);
     }
 
     /**
      * Strings: "hellow"
      */
     if (this._isString(exp)) {
-      return Type.string;
+      return Type.Literal.fromString(exp);
     }
 
     // --------------------------------------------
     // Boolean: true | false
 
     if (this._isBoolean(exp)) {
-      return Type.boolean;
+      return Type.Literal.fromString(exp);
+    }
+
+    // --------------------------------------------
+    // Null: null
+
+    if (exp === 'null') {
+      return Type.null;
     }
 
     // --------------------------------------------
@@ -80,76 +384,168 @@ class EvaTC {
       return this._booleanBinary(exp, env);
     }
 
+    // --------------------------------------------
+    // Logical operators: (and x y ...), (or x y ...), (not x)
+    //
+    // Operands short-circuit with respect to narrowing:
+    // (and (!= x null) (> x 0)) checks (> x 0) with x: number
+
+    if (this._isLogical(exp)) {
+      return this._logical(exp, env);
+    }
+
     // --------------------------------------------
     // Type declaration/alias: (type <name> <base>)
+    //
+    // Generic alias: (type <name> <T,...> <base>)
 
     if (exp[0] === 'type') {
+      // Generic
+      if (this._isGenericAlias(exp)) {
+        return this._createGenericAliasType(exp);
+      }
+
       const [_tag, name, base] = exp;
 
       // Union type: (or number string)
 
       if (base[0] === 'or') {
         const options = base.slice(1);
-        const optionTypes = options.map(option => Type.fromString(option));
-        return (Type[name] = new Type.Union({name, optionTypes}));
+        const optionTypes = options.map(option => this._typeFromString(option));
+        return this._declareType(name, new Type.Union({name, optionTypes}));
+      } else if (base[0] === 'and') {
+        // Intersection type: (and Named Aged)
+        return this._declareType(name, this._createIntersectionType(name, base));
+      } else if (base[0] === 'object') {
+        // Object type: (object (name string) (age number))
+        return this._declareType(name, this._createObjectType(name, base));
       } else {
         // Type alias
-        if (Type.hasOwnProperty(name)) {
-          throw `Type ${name} is already defined ${Type[name]}`;
-        }
-
-        if (!Type.hasOwnProperty(base)) {
+        if (
+          typeof base === 'string' &&
+          /^\w+$/.test(base) &&
+          !this.types.has(base)
+        ) {
           throw `Type ${base} is not defined.`
         }
 
-        return (Type[name] = new Type.Alias({
+        return this._declareType(name, new Type.Alias({
           name,
-          parent: Type[base],
+          parent: this._typeFromString(base),
         }));
       }
     }
 
     // --------------------------------------------
     // Class declaration: (class <Name> <Super> <Body>)
+    //
+    // With interfaces: (class <Name> <Super> (<Interface>...) <Body>)
+    //
+    // Generic class: (class <Name> <T,...> <Super> ... <Body>)
 
     if (exp[0] === 'class') {
-      const [_tag, name, superClassName, body] = exp;
+      // Generic
+      if (this._isGenericClass(exp)) {
+        return this._createGenericClassType(exp, env);
+      }
 
-      // Resolve super class
-      const superClass = Type[superClassName];
+      // Simple
+      return this._createClassType(exp, env);
+    }
+
+    // --------------------------------------------
+    // Interface declaration: (interface <Name> (<field> <type>)...)
+    //
+    // Syntactic sugar for: (type <Name> (object (<field> <type>)...)),
+    // which classes can also implement.
 
-      // New class (type)
-      const classType = new Type.Class({name, superClass});
+    if (exp[0] === 'interface') {
+      const [_tag, name, ...fieldsExp] = exp;
 
-      // Class is accessible by name;
-      Type[name] = env.define(name, classType);
+      // Declared before the members, which may refer
+      // to the interface: (greet Fn<string<Greeter>>)
+      const interfaceType = this._declareType(name, new Type.Interface({name, fields: new Map()}));
 
-      // Body is evaluated in the class environment.
-      this._tcBody(body, classType.env);
+      const {fields} = this._createObjectType(name, ['object', ...fieldsExp]);
 
-      return classType;
+      fields.forEach((fieldType, fieldName) => interfaceType.fields.set(fieldName, fieldType));
+
+      return interfaceType;
+    }
+
+    // --------------------------------------------
+    // Enum (algebraic data type) declaration:
+    //
+    // (enum Shape (Circle (r number)) (Rect (w number) (h number)))
+    //
+    // Each variant defines a constructor function: (Circle 10)
+
+    if (exp[0] === 'enum') {
+      return this._createEnumType(exp, env);
+    }
+
+    // --------------------------------------------
+    // Instance check: (instanceof x Point3D)
+    //
+    // Narrows x to the class in the if-branches.
+
+    if (exp[0] === 'instanceof') {
+      const [_tag, value, className] = exp;
+
+      const classType = this._unalias(this._typeFromString(className));
+
+      if (!(classType instanceof Type.Class)) {
+        throw `Unknown class ${className}.`;
+      }
+
+      const valueType = this.tc(value, env);
+
+      if (!this._canBeInstanceOf(valueType, classType)) {
+        throw `\nCondition ${this._stringify(exp)} is always false, "${valueType}" type is not related to class ${classType}.\n`;
+      }
+
+      return Type.boolean;
     }
 
     // --------------------------------------------
     // Class instantiation: (new <Class> <Arguments>...)
 
+    // Generic class instantiation: (new <Class> <T,...> <Arguments>...)
+
     if (exp[0] === 'new') {
-      const [_tag, className, ...argValues] = exp;
+      let [_tag, className, ...argValues] = exp;
 
-      const classType = Type[className];
+      let classType = this._typeFromString(className);
 
-      if (classType == null) {
-        throw `Unknown class ${name}.`;
+      if (classType instanceof Type.GenericClass) {
+        if (!this._isExplicitGenericCall(exp.slice(1))) {
+          throw `No actual types provided for generic class ${className} in ${exp}.`;
+        }
+
+        classType = classType.instantiate(this._extractActulCallTypes(exp.slice(1)));
+        argValues = argValues.slice(1);
+      }
+
+      if (!(classType instanceof Type.Class)) {
+        throw `Unknown class ${className}.`;
       }
 
-      const argTypes = argValues.map(arg => this.tc(arg, env));
+      const constructorType = classType.getField('constructor');
 
-      return this._checkFunctionCall(
-        classType.getField('constructor'),
-        [classType, ...argTypes],
+      // The instance is passed as self, other arguments are checked:
+      this._checkFunctionCall(
+        new Type.Function({
+          paramTypes: constructorType.paramTypes.slice(1),
+          returnType: constructorType.returnType,
+        }),
+        argValues,
         env,
         exp
       );
+
+      // Instance of the class, even if the constructor
+      // is inherited from the super class:
+      return classType;
     }
 
     // --------------------------------------------
@@ -158,10 +554,13 @@ class EvaTC {
     if (exp[0] === 'super') {
       const [_tag, className] = exp;
 
-      const classType = Type[className];
+      // Instantiated generic classes: (super Box<T>)
+      const classType = this.types.has(className) || className.includes('<')
+        ? this._typeFromString(className)
+        : null;
 
       if (classType == null) {
-        throw `Unknown class ${name}.`;
+        throw `Unknown class ${className}.`;
       }
 
       return classType.superClass;
@@ -173,42 +572,166 @@ class EvaTC {
     if (exp[0] === 'prop') {
       const [_tag, instance, name] = exp;
 
-      const instanceType = this.tc(instance, env);
+      // Narrowed property path: (if (!= (prop p name) null) (prop p name) "")
+      const ref = this._referenceKey(exp);
+
+      if (ref != null && env.has(ref)) {
+        return env.lookup(ref);
+      }
+
+      return this._tcInstance(instance, env, exp).getField(name);
+    }
+
+    // --------------------------------------------
+    // Object literal: (object (name "John") (age 25))
+
+    if (exp[0] === 'object') {
+      const [_tag, ...entries] = exp;
+
+      const fields = new Map();
+
+      entries.forEach(([fieldName, value]) => {
+        if (fields.has(fieldName)) {
+          throw `Duplicate property "${fieldName}" in ${exp}.`;
+        }
+        fields.set(fieldName, this._widen(this.tc(value, env)));
+      });
+
+      return new Type.Object({fields});
+    }
+
+    // --------------------------------------------
+    // Array literal: (array 1 2 3)
+
+    if (exp[0] === 'array') {
+      const [_tag, ...elements] = exp;
+
+      // Empty arrays get the element type only from the expected type:
+      if (elements.length === 0) {
+        throw `Cannot infer element type of an empty array literal ${this._stringify(exp)}.`;
+      }
+
+      // Element type is the join of all elements:
+      // (array 1 "two") -> Array<(or number string)>
+      const elementType = elements
+        .map(element => this._widen(this.tc(element, env)))
+        .reduce((joined, type_) => this._join(joined, type_));
+
+      return new Type.Array({elementType});
+    }
+
+    // --------------------------------------------
+    // Tuple literal: (tuple 1 "x")
+
+    if (exp[0] === 'tuple') {
+      const [_tag, ...elements] = exp;
+
+      const elementTypes = elements.map(element =>
+        this._widen(this.tc(element, env))
+      );
+
+      return new Type.Tuple({elementTypes});
+    }
+
+    // --------------------------------------------
+    // Array element access: (idx <array> <index>)
+    //
+    // Tuple element access: (idx <tuple> <literal index>)
+
+    if (exp[0] === 'idx') {
+      const [_tag, array, index] = exp;
+
+      const arrayType = this._unalias(this.tc(array, env));
+
+      if (arrayType instanceof Type.Tuple) {
+        return this._tupleElementType(arrayType, index, exp);
+      }
+
+      if (!(arrayType instanceof Type.Array)) {
+        throw `\nExpected array type for ${array} in ${exp}, but got "${arrayType}" type.\n`;
+      }
+
+      this._expect(this.tc(index, env), Type.number, index, exp);
 
-      return instanceType.getField(name);
+      return arrayType.elementType;
     }
 
     // --------------------------------------------
     // Variable declaration: (var x 10)
     //
     // With typecheck: (var (x number) "foo") // error
+    //
+    // Declaration only: (var (x number)), e.g. for fields
+    // of generic classes, which are set in the constructor.
 
     if (exp[0] === 'var') {
       const [_tag, name, value] = exp;
 
-      // Infer actual type:
-      const valueType = this.tc(value, env);
+      if (exp.length === 2 && Array.isArray(name)) {
+        const [varName, typeStr] = name;
+        return env.define(varName, this._typeFromString(typeStr));
+      }
+
+      // Tuple destructuring without a type, inferred
+      // from the value: (var ((a b)) (tuple 1 "x"))
+      if (Array.isArray(name) && name.length === 1 && Array.isArray(name[0])) {
+        const tupleType = this._unalias(this.tc(value, env));
+
+        if (!(tupleType instanceof Type.Tuple)) {
+          throw `\nTuple destructuring requires a tuple type, got "${tupleType}" in ${this._stringify(exp)}.\n`;
+        }
+
+        // Literal types are widened for mutable variables:
+        return this._destructureTuple(
+          name[0],
+          new Type.Tuple({elementTypes: tupleType.elementTypes.map(t => this._widen(t))}),
+          env,
+          exp,
+        );
+      }
 
       // With type check:
       if (Array.isArray(name)) {
         const [varName, typeStr] = name;
 
-        const expectedType = Type.fromString(typeStr);
+        const expectedType = this._typeFromString(typeStr);
+
+        // Check the type, pushing the expected type into the value:
+        this.check(value, expectedType, env, exp);
 
-        // Check the type:
-        this._expect(valueType, expectedType, value, exp);
+        // Tuple destructuring: (var ((a b) Tuple<number,string>) ...)
+        if (Array.isArray(varName)) {
+          return this._destructureTuple(varName, expectedType, env, exp);
+        }
 
         return env.define(varName, expectedType);
       }
 
-      return env.define(name, valueType);
+      // Infer actual type:
+      const valueType = this.tc(value, env);
+
+      // Inferred functions are generalized: (var id (lambda (x) x))
+      if (this._isLambda(value)) {
+        return env.define(name, this._generalize(valueType, env));
+      }
+
+      // Literal types are widened for mutable variables:
+      return env.define(name, this._widen(valueType));
     }
 
     // --------------------------------------------
     // Variable access: foo
 
     if (this._isVariableName(exp)) {
-      return env.lookup(exp);
+      const type_ = env.lookup(exp);
+
+      // Polymorphic inferred functions get fresh
+      // type variables on each use:
+      if (type_ instanceof Type.Scheme) {
+        return this._instantiate(type_, exp);
+      }
+
+      return type_;
     }
 
     // --------------------------------------------
@@ -220,19 +743,37 @@ class EvaTC {
       // 1. Assignment to a property: (set (prop <instance> <propName>) <value>)
       if (ref[0] === 'prop') {
         const [_tag, instance, propName] = ref;
-        const instanceType = this.tc(instance, env);
+        const instanceType = this._tcInstance(instance, env, exp);
 
         const valueType = this.tc(value, env);
         const propType = instanceType.getField(propName);
 
+        this._dropNarrowings(ref, env);
+
         return this._expect(valueType, propType, value, exp);
       }
 
+      // 2. Assignment to an array element: (set (idx <array> <index>) <value>)
+      if (ref[0] === 'idx') {
+        const elementType = this.tc(ref, env);
+        const valueType = this.tc(value, env);
+
+        return this._expect(valueType, elementType, value, exp);
+      }
+
       // The type of the new value should match to the
-      // previous type when the variable was defined
+      // type when the variable was defined, not narrowed one:
+      // (while (!= n null) (set n (prop n next)))
 
       const valueType = this.tc(value, env);
-      const varType = this.tc(ref, env);
+      const declaredType = env.lookupDeclared(ref);
+
+      const varType = declaredType instanceof Type.Scheme
+        ? this._instantiate(declaredType, ref)
+        : declaredType;
+
+      // The rest of the branch sees the declared type:
+      this._dropNarrowings(ref, env);
 
       return this._expect(valueType, varType, value, exp);
     }
@@ -242,7 +783,7 @@ class EvaTC {
 
     if (exp[0] === 'begin') {
       const blockEnv = new TypeEnvironment({}, env);
-      return this._tcBlock(exp, blockEnv);
+      return this._inTypeScope(() => this._tcBlock(exp, blockEnv));
     }
 
     // --------------------------------------------
@@ -259,32 +800,33 @@ class EvaTC {
     if (exp[0] === 'if') {
       const [_tag, condition, consequent, alternate] = exp;
 
-      // Boolean condition
-      const t1 = this.tc(condition, env);
-      this._expect(t1, Type.boolean, condition, exp);
+      const [consequentEnv, alternateEnv] = this._tcCondition(condition, env, exp);
 
-      // Initially, environment used to tc consequent part
-      // is the same as the main env, however can be updated
-      // for the union type with type casting:
-      let consequentEnv = env;
+      const t2 = this.tc(consequent, consequentEnv);
 
-      // Check if the condition if a type casting rule.
-      // This is used with union types to make a type concrete:
-      if (this._isTypeCastCondition(condition)) {
-        const [name, specificType] = this._getSpecifiedType(condition);
+      // No else branch evaluates to null: (if c 1) -> (or number null)
+      const t3 = alternate === undefined
+        ? Type.null
+        : this.tc(alternate, alternateEnv);
 
-        // Update environment with the concrete type for this name:
-        consequentEnv = new TypeEnvironment(
-          {[name]: Type.fromString(specificType)},
-          env
-          );
-      }
+      // The join of the branches, a branch which doesn't return
+      // (or is eliminated by narrowing) doesn't affect the type:
+      // (if c 1 (throw "error")) -> number
+      return this._join(t2, t3);
+    }
 
-      const t2 = this.tc(consequent, consequentEnv);
-      const t3 = this.tc(alternate, env);
+    // --------------------------------------------
+    // match-expression:
+    //
+    // (match s
+    //   ((Circle r) (* r r))
+    //   ((Rect w h) (* w h)))
+    //
+    // Binds variant fields in each arm, all arms should
+    // return the same type, and cover all variants.
 
-      //Same type for both branches
-      return this._expect(t3, t2, exp, exp);
+    if (exp[0] === 'match') {
+      return this._tcMatch(exp, env);
     }
 
     // --------------------------------------------
@@ -293,39 +835,87 @@ class EvaTC {
     if (exp[0] === 'while') {
       const [_tag, condition, body] = exp;
 
-      // Boolean condition
-      const t1 = this.tc(condition, env);
-      this._expect(t1, Type.boolean, condition, exp);
+      // Narrowings of references assigned in the loop don't
+      // hold on the next iteration, nor after the loop:
+      this._assignedReferences(exp).forEach(ref => this._dropNarrowings(ref, env));
+
+      // Body is checked with types narrowed by the condition:
+      const [bodyEnv] = this._tcCondition(condition, env, exp);
+
+      const bodyType = this.tc(body, bodyEnv);
+
+      // Body may be not executed at all, so the loop returns:
+      if (this._isNever(bodyType)) {
+        return Type.null;
+      }
 
-      return this.tc(body, env);
+      return bodyType;
     }
 
     // --------------------------------------------
-    // Function declaration: (def square ((x number)) -> number (* x x))
+    // Throw: (throw "error")
     //
-    // Syntactic sugar for: (var square (lambda ((x number)) -> number (* x x)))
+    // Doesn't return, so has the never type.
 
-    if (exp[0] === 'def') {
-      // Transpile to a variable declaration:
+    if (exp[0] === 'throw') {
+      this._checkArity(exp, 1);
+      this.tc(exp[1], env);
+      return Type.never;
+    }
 
-      const varExp = this._transformDefToVarLambda(exp);
+    // --------------------------------------------
+    // Exhaustiveness assertion: (assert-never x)
+    //
+    // All union members of x should be narrowed away.
 
-      if (!this._isGenericDefFunction(exp)) {
-        const name = exp[1];
-        const params = exp[2];
-        const returnTypeStr = exp[4];
+    if (exp[0] === 'assert-never') {
+      this._checkArity(exp, 1);
+      this._expect(this.tc(exp[1], env), Type.never, exp[1], exp);
+      return Type.never;
+    }
 
-        // Extend environment with function name before evaluating body
+    // --------------------------------------------
+    // Function declaration: (def square ((x number)) -> number (* x x))
+    //
+    // Syntactic sugar for: (var square (lambda ((x number)) -> number (* x x)))
+
+    // Async function: (async def fetch ((id number)) -> string ...)
+    //
+    // Async functions return promises: Fn<Promise<string><number>>
+
+    if (exp[0] === 'def' || this._isAsyncFunction(exp, 'def')) {
+      const isAsync = exp[0] === 'async';
+      const defExp = this._normalizeGenericHeader(isAsync ? exp.slice(1) : exp, 2);
+
+      // Inferred: (def add (x y) (+ x y))
+      if (this._isInferredDefFunction(defExp)) {
+        return this._tcInferredDef(defExp, env, isAsync);
+      }
+
+      // Transpile to a variable declaration:
+
+      const varExp = this._transformDefToVarLambda(
+        isAsync ? ['async', ...defExp] : defExp
+      );
+
+      if (!this._isGenericDefFunction(defExp)) {
+        const name = defExp[1];
+        const params = defExp[2];
+        const returnTypeStr = defExp[4];
+
+        // Extend environment with function name before evaluating body
         // to support recursive function
-        const paramTypes = params.map(([name, typeStr]) => 
-          Type.fromString(typeStr)
+        const paramTypes = params.map(param =>
+          this._paramType(param, defExp)
         );
 
+        const returnType = this._typeFromString(returnTypeStr);
+
         env.define(
           name,
           new Type.Function({
             paramTypes,
-            returnType: Type.fromString(returnTypeStr)
+            returnType: isAsync ? new Type.Promise({valueType: returnType}) : returnType,
           }),
         );
       }
@@ -335,14 +925,40 @@ class EvaTC {
     }
 
     // Lambda function: (lambda ((x number)) -> number (* x x))
-    if (exp[0] === 'lambda') {
+    //
+    // Async lambda: (async lambda ((x number)) -> number (* x x))
+    if (exp[0] === 'lambda' || this._isAsyncFunction(exp, 'lambda')) {
+      const isAsync = exp[0] === 'async';
+      const lambdaExp = this._normalizeGenericHeader(isAsync ? exp.slice(1) : exp, 1);
+
       // Generic
-      if (this._isGenericLambdaFunction(exp)) {
-        return this._createGenericFunctionType(exp, env);
+      if (this._isGenericLambdaFunction(lambdaExp)) {
+        return this._createGenericFunctionType(lambdaExp, env, isAsync);
       }
 
       // Simple
-      return this._createSimpleFunctionType(exp, env);
+      return this._createSimpleFunctionType(lambdaExp, env, isAsync);
+    }
+
+    // --------------------------------------------
+    // Await: (await <promise>)
+    //
+    // Allowed only in async functions, unwraps Promise<T> to T.
+
+    if (exp[0] === 'await') {
+      const [_tag, value] = exp;
+
+      if (!env.isAsync()) {
+        throw `\nawait is only allowed inside async functions, in ${exp}.\n`;
+      }
+
+      const valueType = this.tc(value, env);
+
+      if (valueType instanceof Type.Promise) {
+        return valueType.valueType;
+      }
+
+      return valueType;
     }
 
     // ------------------------------------------
@@ -350,7 +966,27 @@ class EvaTC {
     // (square 2)
 
     if (Array.isArray(exp)) {
-      const fn = this.tc(exp[0], env);
+      const fn = this._prune(
+        this._expectNonNull(this.tc(exp[0], env), exp[0], exp)
+      );
+
+      // Calling an unannotated parameter infers its function type:
+      //
+      // (lambda (f x) (f x))
+      if (fn instanceof Type.Variable) {
+        const returnType = this._freshTypeVariable(
+          `result of ${this._stringify(exp)}`
+        );
+
+        const fnType = new Type.Function({
+          paramTypes: exp.slice(1).map(arg => this._widen(this.tc(arg, env))),
+          returnType,
+        });
+
+        this._expect(fnType, fn, exp[0], exp);
+
+        return returnType;
+      }
 
       // Simple Function calls:
       let actualFn = fn;
@@ -358,41 +994,39 @@ class EvaTC {
 
       // Generic function calls
       if (fn instanceof Type.GenericFunction) {
-        // Actual (instantiated) types:
-        const actualTypes = this._extractActulCallTypes(exp);
+        let genericTypesMap;
 
-        // Map the generic types to the actual types:
-        const genericTypesMap = this._getGenericTypesMap(
-          fn.genericTypes,
-          actualTypes,
-        );
+        if (this._isExplicitGenericCall(exp)) {
+          // Actual (instantiated) types: (combine <number> 2 3)
+          const actualTypes = this._extractActulCallTypes(exp);
 
-        // Bind Parameters and return types:
-        const [boundParams, boundReturnType] = this._bindFunctionTypes(
-          fn.params,
-          fn.returnType,
-          genericTypesMap,
-        );
+          // Map the generic types to the actual types:
+          genericTypesMap = this._getGenericTypesMap(
+            fn.genericTypes,
+            actualTypes,
+          );
 
-        // Check function body with the bound parameter types:
-        // This creates an actual function type.
-        // Notice that we pass env as fn.env, a closure 
+          // IN generic function calls paramsters passed from index 2
+          argValues = exp.slice(2);
+        } else {
+          // Inferred from the arguments: (combine 2 3)
+          genericTypesMap = this._inferGenericTypesMap(
+            fn,
+            argValues.map(arg => this.tc(arg, env)),
+            exp,
+          );
+        }
 
-        actualFn = this._tcFunction(
-          boundParams,
-          boundReturnType,
-          fn.body,
-          fn.env,
-        );
+        // Actual types should satisfy the bounds:
+        this._checkGenericBounds(fn, genericTypesMap, exp);
 
-        // IN generic function calls paramsters passed from index 2
-        argValues = exp.slice(2);
+        // Creates an actual function type:
+        actualFn = this._instantiateGenericFunctionType(fn, genericTypesMap);
       }
 
-      // Passed arguments
-      const argTypes = argValues.map(arg => this.tc(arg, env));
-
-      return this._checkFunctionCall(actualFn, argTypes, env, exp);
+      return this._resolveType(
+        this._checkFunctionCall(actualFn, argValues, env, exp)
+      );
     }
 
     throw `Unknown type for expression ${exp}.`;
@@ -410,35 +1044,135 @@ class EvaTC {
   }
 
   /**
-   * Binds generic parameters and return type to actual types.
+   * Infers actual types for generic parameters from the argument types.
+   *
+   * (combine 2 3) -> K: number
    */
-  _bindFunctionTypes(params, returnType, genericTypesMap) {
-    const actualParams = [];
+  _inferGenericTypesMap(fn, argTypes, exp) {
+    if (fn.params.length !== argTypes.length) {
+      throw `\nFunction ${exp[0]} ${fn.getName()} expects ${
+        fn.params.length
+      } arguments, ${argTypes.length} given in ${exp}.\n`;
+    }
+
+    // Parameter types are resolved with the generic
+    // types as opaque types, which are bound to the
+    // matching parts of the argument types:
+    const genericTypes = new Map();
+    const record = {};
+
+    fn.genericTypes.forEach(genericType => {
+      const opaqueType = new Type.Opaque(genericType);
+      genericTypes.set(opaqueType, genericType);
+      record[genericType] = opaqueType;
+    });
+
+    const paramTypes = this._withTypes(
+      new TypeRegistry(record, fn.types),
+      () => fn.params.map(([_name, paramType]) => this._typeFromString(paramType)),
+    );
+
+    const genericTypesMap = new Map();
+
+    paramTypes.forEach((paramType, index) => {
+      this._inferGenericType(
+        genericTypes,
+        paramType,
+        this._widen(argTypes[index]),
+        genericTypesMap,
+        exp,
+      );
+    });
+
+    // All generic types (including used only in the
+    // return type) should be inferred:
+    fn.genericTypes.forEach(genericType => {
+      if (!genericTypesMap.has(genericType)) {
+        throw `Cannot infer type for generic parameter ${genericType} in ${exp}, provide it explicitly.`;
+      }
+    });
+
+    return genericTypesMap;
+  }
 
-    // 1. Bind parameter types
+  /**
+   * Matches a parameter type with the argument type,
+   * binding generic (opaque) types:
+   *
+   * (x K), 10 -> K: number
+   * (xs Array<K>), Array<string> -> K: string
+   * (f Fn<V<K>>), Fn<boolean<number>> -> K: number, V: boolean
+   */
+  _inferGenericType(genericTypes, paramType, argType, genericTypesMap, exp) {
+    // Generic type:
+    if (genericTypes.has(paramType)) {
+      const genericType = genericTypes.get(paramType);
 
-    for (let i = 0; i < params.length; i++) {
-      const [paramName, paramType] = params[i];
+      if (!genericTypesMap.has(genericType)) {
+        genericTypesMap.set(genericType, argType);
+        return;
+      }
 
-      let actualParamType = paramType;
+      const boundType = genericTypesMap.get(genericType);
 
-      // Generic Type
-      if (genericTypesMap.has(paramType)) {
-        actualParamType = genericTypesMap.get(paramType);
+      if (!boundType.equals(argType) || !argType.equals(boundType)) {
+        throw `\nConflicting types for generic parameter ${genericType} in ${exp}: "${boundType}" and "${argType}".\n`;
       }
+      return;
+    }
 
-      actualParams.push([paramName, actualParamType]);
+    paramType = this._unalias(paramType);
+    argType = this._unalias(this._prune(argType));
+
+    // Object fields are matched by name:
+    if (paramType instanceof Type.Object && argType instanceof Type.Object) {
+      paramType.fields.forEach((fieldType, fieldName) => {
+        if (argType.fields.has(fieldName)) {
+          this._inferGenericType(
+            genericTypes,
+            fieldType,
+            this._widen(argType.fields.get(fieldName)),
+            genericTypesMap,
+            exp,
+          );
+        }
+      });
+      return;
     }
 
-    // 2. Bind return type:
+    // Components of the same compound types: Array, Tuple, Promise, Fn:
+    if (
+      paramType.constructor !== argType.constructor ||
+      paramType instanceof Type.Union
+    ) {
+      return;
+    }
 
-    let actualReturnType = returnType;
+    const paramComponents = this._typeComponents(paramType);
+    const argComponents = this._typeComponents(argType);
 
-    if (genericTypesMap.has(returnType)) {
-      actualReturnType = genericTypesMap.get(returnType);
+    if (paramComponents.length !== argComponents.length) {
+      return;
     }
 
-    return [actualParams, actualReturnType];
+    paramComponents.forEach((component, index) => {
+      this._inferGenericType(
+        genericTypes,
+        component,
+        this._widen(argComponents[index]),
+        genericTypesMap,
+        exp,
+      );
+    });
+  }
+
+  /**
+   * Whether the generic call provides actual types.
+   *
+   * (combine <string> "hello")
+   */
+  _isExplicitGenericCall(exp) {
+    return /^<.+>$/.test(exp[1]);
   }
 
   /**
@@ -447,13 +1181,13 @@ class EvaTC {
    * (combine <string> "hello")
    */
   _extractActulCallTypes(exp) {
-    const data = /^<([^>]+)>$/.exec(exp[1]);
+    const data = /^<(.+)>$/.exec(exp[1]);
 
     if (data == null) {
       throw `No actual types provided in generic call: ${exp}.`;
     }
 
-    return data[1].split(',');
+    return Type.splitTypeArgs(data[1]);
   }
 
   /**
@@ -461,144 +1195,1846 @@ class EvaTC {
    *
    * Such functions are type-checked during declaration time.
    */
-  _createSimpleFunctionType(exp, env) {
+  _createSimpleFunctionType(exp, env, isAsync = false) {
+    // Inferred return type: (lambda (x) (* x x))
+    if (exp.length === 3) {
+      const [_tag, params, body] = exp;
+      return this._tcFunction(params, null, body, env, isAsync);
+    }
+
     const [_tag, params, _retDel, returnTypeStr, body] = exp;
-    return this._tcFunction(params, returnTypeStr, body, env);
+    return this._tcFunction(params, returnTypeStr, body, env, isAsync);
   }
 
   /**
-   * Generic function declarations.
+   * Inferred function declarations (no return type annotation).
    *
-   * Such functions are *not* checked at declaration,
-   * instead they are checked at call time, when all
-   * generic parameters are bound.
+   * (def add (x y) (+ x y))
+   *
+   * The function type is inferred from the body, and is
+   * generalized to a polymorphic type: <t1> Fn<t1<t1,t1>>
    */
-  _createGenericFunctionType(exp, env) {
-    const [_tag, genericTypes, params, _retDel, returnType, body] = exp;
+  _tcInferredDef(exp, env, isAsync) {
+    const [_tag, name, params, body] = exp;
+
+    // Recursive calls see a monomorphic type of the function:
+    const returnType = this._freshTypeVariable(
+      `return type of ${name} in ${this._stringify(exp)}`
+    );
+
+    const recursiveType = new Type.Function({
+      paramTypes: params.map(param => this._paramType(param, exp)),
+      returnType: isAsync ? new Type.Promise({valueType: returnType}) : returnType,
+    });
+
+    const lambdaExp = ['lambda', params, body];
+
+    const fnType = this.tc(
+      isAsync ? ['async', ...lambdaExp] : lambdaExp,
+      new TypeEnvironment({[name]: recursiveType}, env),
+    );
+
+    this._expect(fnType, recursiveType, name, exp);
+
+    return env.define(name, this._generalize(fnType, env));
+  }
+
+  /**
+   * Whether the function declaration has no return type.
+   *
+   * (def add (x y) (+ x y))
+   */
+  _isInferredDefFunction(exp) {
+    return exp.length === 4;
+  }
+
+  /**
+   * Whether the expression is a lambda.
+   */
+  _isLambda(exp) {
+    return (
+      Array.isArray(exp) &&
+      (exp[0] === 'lambda' || this._isAsyncFunction(exp, 'lambda'))
+    );
+  }
+
+  /**
+   * Returns parameter type, unannotated parameters
+   * get a type variable: x -> t1, (x number) -> number
+   */
+  _paramType(param, exp) {
+    if (typeof param === 'string') {
+      return this._freshTypeVariable(
+        `parameter "${param}" in ${this._stringify(exp)}`
+      );
+    }
+
+    return this._typeFromString(param[1]);
+  }
+
+  /**
+   * Creates a type variable for an inferred type.
+   *
+   * The origin describes where the type variable arose,
+   * and is used in error messages.
+   */
+  _freshTypeVariable(origin) {
+    const typeVariable = new Type.Variable({origin});
+    this.typeVariables.push(typeVariable);
+    return typeVariable;
+  }
+
+  /**
+   * Returns the actual type, which a type variable is bound to.
+   */
+  _prune(type_) {
+    while (type_ instanceof Type.Variable && type_.instance != null) {
+      type_ = type_.instance;
+    }
+    return type_;
+  }
+
+  /**
+   * Returns component types of a compound type.
+   */
+  _typeComponents(type_) {
+    if (type_ instanceof Type.Function) {
+      return [...type_.paramTypes, type_.returnType];
+    }
+
+    if (type_ instanceof Type.Array) {
+      return [type_.elementType];
+    }
+
+    if (type_ instanceof Type.Promise) {
+      return [type_.valueType];
+    }
+
+    if (type_ instanceof Type.Tuple) {
+      return type_.elementTypes;
+    }
+
+    if (type_ instanceof Type.Union) {
+      return type_.optionTypes;
+    }
+
+    // Interfaces are declared, and may refer to themselves:
+    if (type_ instanceof Type.Object && !(type_ instanceof Type.Interface)) {
+      return [...type_.fields.values()];
+    }
+
+    return [];
+  }
+
+  /**
+   * Creates a compound type with mapped component types.
+   */
+  _mapType(type_, fn) {
+    if (type_ instanceof Type.Function) {
+      return new Type.Function({
+        paramTypes: type_.paramTypes.map(fn),
+        returnType: fn(type_.returnType),
+      });
+    }
+
+    if (type_ instanceof Type.Array) {
+      return new Type.Array({elementType: fn(type_.elementType)});
+    }
+
+    if (type_ instanceof Type.Promise) {
+      return new Type.Promise({valueType: fn(type_.valueType)});
+    }
+
+    if (type_ instanceof Type.Tuple) {
+      return new Type.Tuple({elementTypes: type_.elementTypes.map(fn)});
+    }
+
+    if (type_ instanceof Type.Union) {
+      return new Type.Union({
+        name: type_.name,
+        optionTypes: type_.optionTypes.map(fn),
+      });
+    }
+
+    if (type_ instanceof Type.Object && !(type_ instanceof Type.Interface)) {
+      const fields = new Map();
+      type_.fields.forEach((fieldType, fieldName) => {
+        fields.set(fieldName, fn(fieldType));
+      });
+      return new Type.Object({fields});
+    }
+
+    return type_;
+  }
+
+  /**
+   * Whether the type contains (bound or unbound) type variables.
+   */
+  _hasTypeVariables(type_) {
+    return (
+      type_ instanceof Type.Variable ||
+      this._typeComponents(type_).some(t => this._hasTypeVariables(t))
+    );
+  }
+
+  /**
+   * Returns unbound type variables of the type.
+   */
+  _typeVariablesOf(type_, typeVariables = new Set()) {
+    type_ = this._prune(type_);
+
+    if (type_ instanceof Type.Variable) {
+      typeVariables.add(type_);
+    } else {
+      this._typeComponents(type_).forEach(t =>
+        this._typeVariablesOf(t, typeVariables)
+      );
+    }
+
+    return typeVariables;
+  }
+
+  /**
+   * Replaces bound type variables with their actual types.
+   */
+  _resolveType(type_) {
+    type_ = this._prune(type_);
+
+    if (!this._hasTypeVariables(type_)) {
+      return type_;
+    }
+
+    return this._mapType(type_, t => this._resolveType(t));
+  }
+
+  /**
+   * Replaces type variables according to the map.
+   */
+  _substituteTypeVariables(type_, typeVariablesMap) {
+    type_ = this._prune(type_);
+
+    if (type_ instanceof Type.Variable) {
+      return typeVariablesMap.get(type_) || type_;
+    }
+
+    if (!this._hasTypeVariables(type_)) {
+      return type_;
+    }
+
+    return this._mapType(type_, t =>
+      this._substituteTypeVariables(t, typeVariablesMap)
+    );
+  }
+
+  /**
+   * Generalizes inferred type over its type variables,
+   * which are not used in the environment:
+   *
+   * Fn<t1<t1>> -> <t1> Fn<t1<t1>>
+   */
+  _generalize(type_, env) {
+    type_ = this._resolveType(type_);
+
+    const envTypeVariables = new Set();
+
+    for (let scope = env; scope != null; scope = scope.parent) {
+      Object.values(scope.record).forEach(t => {
+        if (t instanceof Type.Scheme) {
+          this._typeVariablesOf(t.type).forEach(v => {
+            if (!t.typeVariables.includes(v)) {
+              envTypeVariables.add(v);
+            }
+          });
+        } else {
+          this._typeVariablesOf(t, envTypeVariables);
+        }
+      });
+    }
+
+    const typeVariables = [...this._typeVariablesOf(type_)].filter(
+      v => !envTypeVariables.has(v)
+    );
+
+    if (typeVariables.length === 0) {
+      return type_;
+    }
+
+    return new Type.Scheme({typeVariables, type: type_});
+  }
+
+  /**
+   * Instantiates a polymorphic type with fresh type variables.
+   */
+  _instantiate(scheme, exp) {
+    const typeVariablesMap = new Map();
+
+    scheme.typeVariables.forEach(v => {
+      const typeVariable = this._freshTypeVariable(`instantiation of ${v.origin}, used in ${exp}`);
+
+      // Constraints hold for all instantiations: (add true false)
+      typeVariable.allowedTypes = v.allowedTypes;
+
+      typeVariablesMap.set(v, typeVariable);
+    });
+
+    return this._substituteTypeVariables(scheme.type, typeVariablesMap);
+  }
+
+  /**
+   * Unifies actual and expected types, binding type variables.
+   *
+   * Returns whether the types can be unified.
+   */
+  _unify(actualType, expectedType) {
+    actualType = this._prune(actualType);
+    expectedType = this._prune(expectedType);
+
+    if (actualType === expectedType) {
+      return true;
+    }
+
+    if (actualType instanceof Type.Variable) {
+      return this._bindTypeVariable(actualType, expectedType);
+    }
+
+    if (expectedType instanceof Type.Variable) {
+      return this._bindTypeVariable(expectedType, actualType);
+    }
+
+    if (!this._hasTypeVariables(actualType) && !this._hasTypeVariables(expectedType)) {
+      return Type.isAssignableTo(actualType, expectedType);
+    }
+
+    actualType = this._unalias(actualType);
+    expectedType = this._unalias(expectedType);
+
+    if (
+      actualType.constructor !== expectedType.constructor ||
+      actualType instanceof Type.Union ||
+      actualType instanceof Type.Object
+    ) {
+      return false;
+    }
+
+    const actualComponents = this._typeComponents(actualType);
+    const expectedComponents = this._typeComponents(expectedType);
+
+    if (actualComponents.length !== expectedComponents.length) {
+      return false;
+    }
+
+    return actualComponents.every((t, i) => this._unify(t, expectedComponents[i]));
+  }
+
+  /**
+   * Binds a type variable to a type.
+   */
+  _bindTypeVariable(typeVariable, type_) {
+    type_ = this._widen(this._prune(type_));
+
+    if (type_ === typeVariable) {
+      return true;
+    }
+
+    // Occurs check: t1 = Fn<t1<number>>
+    if (this._typeVariablesOf(type_).has(typeVariable)) {
+      throw `\nInfinite type: ${typeVariable} occurs in "${this._resolveType(type_)}", for ${typeVariable.origin}.\n`;
+    }
+
+    // Constrained variable is bound only to the allowed types:
+    if (
+      typeVariable.allowedTypes != null &&
+      !this._constrainType(type_, typeVariable.allowedTypes)
+    ) {
+      return false;
+    }
+
+    typeVariable.instance = type_;
+    return true;
+  }
+
+  /**
+   * Constrains a type to the allowed types: a type variable can be
+   * bound only to one of them, other types should be one of them.
+   *
+   * (+ x y) -> x: (or string number), (* x y) -> x: number
+   *
+   * Returns whether the type satisfies the constraint.
+   */
+  _constrainType(type_, allowedTypes) {
+    type_ = this._prune(type_);
+
+    if (!(type_ instanceof Type.Variable)) {
+      return allowedTypes.some(t => this._isCompatible(type_, t));
+    }
+
+    const constrainedTypes = type_.allowedTypes == null
+      ? allowedTypes
+      : type_.allowedTypes.filter(t => allowedTypes.includes(t));
+
+    if (constrainedTypes.length === 0) {
+      return false;
+    }
+
+    type_.allowedTypes = constrainedTypes;
+    return true;
+  }
+
+  /**
+   * Reports type variables, which are left unresolved
+   * in the result type or in the global environment.
+   */
+  _checkResolved(type_) {
+    const reachable = this._typeVariablesOf(type_);
+
+    Object.values(this.global.record).forEach(t => {
+      if (!(t instanceof Type.Scheme)) {
+        this._typeVariablesOf(t, reachable);
+      }
+    });
+
+    const unresolved = this.typeVariables.find(
+      v => v.instance == null && reachable.has(v)
+    );
+
+    if (unresolved != null) {
+      throw `\nCannot infer type of ${unresolved.origin}, add a type annotation.\n`;
+    }
+  }
+
+  /**
+   * Converts an expression to the s-expression string.
+   */
+  _stringify(exp) {
+    if (Array.isArray(exp)) {
+      return `(${exp.map(e => this._stringify(e)).join(' ')})`;
+    }
+    return String(exp);
+  }
+
+  /**
+   * Generic function declarations.
+   *
+   * Such functions are *not* checked at declaration,
+   * instead they are checked at call time, when all
+   * generic parameters are bound.
+   */
+  _createGenericFunctionType(exp, env, isAsync = false) {
+    const [_tag, genericTypes, params, _retDel, returnType, body] = exp;
+
+    const genericParams = this._parseGenericParams(genericTypes);
+
+    const bounds = new Map();
+
+    genericParams.forEach(({name, bound}) => {
+      if (bound != null) {
+        bounds.set(name, this._createTypeFromExp(null, bound));
+      }
+    });
+
+    const fn = new Type.GenericFunction({
+      genericTypesStr: genericParams.map(({name}) => name).join(','),
+      params,
+      body,
+      returnType,
+      env, // Closure
+      types: this.types,
+      isAsync,
+      bounds,
+    });
+
+    // Bounded generic functions are checked once at declaration,
+    // with the generic types as opaque types, which are assignable
+    // to their bounds, but only accept themselves:
+    if (bounds.size > 0) {
+      const declarationTypesMap = new Map();
+
+      fn.genericTypes.forEach(genericType => {
+        declarationTypesMap.set(
+          genericType,
+          new Type.Opaque(genericType, bounds.get(genericType) || null),
+        );
+      });
+
+      this._withTypes(
+        this._createGenericScope(this.types, declarationTypesMap),
+        () => this._tcFunction(params, returnType, body, env, isAsync),
+      );
+    }
+
+    return fn;
+  }
+
+  /**
+   * Checks that actual types of a generic call satisfy the bounds.
+   *
+   * (def combine <K extends (or number string)> ...)
+   *
+   * (combine true false) // error
+   */
+  _checkGenericBounds(fn, genericTypesMap, exp) {
+    fn.bounds.forEach((bound, genericType) => {
+      const actualType = this._typeFromString(genericTypesMap.get(genericType));
+
+      if (!Type.isAssignableTo(actualType, bound)) {
+        throw `\nType "${actualType}" does not satisfy the bound "${bound}" of generic parameter ${genericType} in ${exp}.\n`;
+      }
+    });
+  }
+
+  /**
+   * Whether the expression is a generic parameters header.
+   *
+   * <K,V>, or normalized bounded header (see _normalizeGenericHeader)
+   */
+  _isGenericHeader(exp) {
+    if (Array.isArray(exp)) {
+      return exp[0] === 'generic';
+    }
+    return /^<[^>]+>$/.test(exp);
+  }
+
+  /**
+   * Bounded generic header spans several tokens:
+   *
+   *   <K extends (or number string)> -> '<K', 'extends', (or number string), '>'
+   *
+   * Collects these tokens into one (generic ...) element,
+   * so the header is at the same position as <K,V>.
+   */
+  _normalizeGenericHeader(exp, index) {
+    const first = exp[index];
+
+    if (typeof first !== 'string' || !first.startsWith('<') || first.endsWith('>')) {
+      return exp;
+    }
+
+    let end = index + 1;
+
+    while (
+      end < exp.length &&
+      !(typeof exp[end] === 'string' && exp[end].endsWith('>'))
+    ) {
+      end++;
+    }
+
+    if (end === exp.length) {
+      throw `Unterminated generic parameters in ${exp}.`;
+    }
+
+    const tokens = exp.slice(index, end + 1);
+    tokens[0] = tokens[0].slice(1);
+    tokens[tokens.length - 1] = tokens[tokens.length - 1].slice(0, -1);
+
+    return [
+      ...exp.slice(0, index),
+      ['generic', ...tokens.filter(token => token !== '')],
+      ...exp.slice(end + 1),
+    ];
+  }
+
+  /**
+   * Parses generic parameters with optional bounds:
+   *
+   *   <K,V> -> [{name: 'K', bound: null}, {name: 'V', bound: null}]
+   *
+   *   <T extends Point> -> [{name: 'T', bound: 'Point'}]
+   */
+  _parseGenericParams(header) {
+    if (!Array.isArray(header)) {
+      return header
+        .slice(1, -1)
+        .split(',')
+        .map(name => ({name, bound: null}));
+    }
+
+    // Split string tokens on commas: 'number,V' -> 'number', ',', 'V'
+    const tokens = [];
+
+    header.slice(1).forEach(token => {
+      if (typeof token !== 'string') {
+        tokens.push(token);
+        return;
+      }
+      token.split(/(,)/).forEach(part => part !== '' && tokens.push(part));
+    });
+
+    const genericParams = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const name = tokens[i];
+      let bound = null;
+
+      if (tokens[i + 1] === 'extends') {
+        bound = tokens[i + 2];
+        i += 2;
+      }
+
+      if (bound === undefined || (i + 1 < tokens.length && tokens[i + 1] !== ',')) {
+        throw `Invalid generic parameters <${header.slice(1).join(' ')}>.`;
+      }
+
+      genericParams.push({name, bound});
+      i++; // skip ','
+    }
+
+    return genericParams;
+  }
+
+  /**
+   * Whether the function is async.
+   *
+   * (async def fetch ((id number)) -> string ...)
+   * (async lambda ((id number)) -> string ...)
+   */
+  _isAsyncFunction(exp, kind) {
+    return exp[0] === 'async' && exp[1] === kind;
+  }
+
+  /**
+   * Whether the function is generic.
+   *
+   * (lambda <K> ((x K)) -> K (+ x x))
+   */
+  _isGenericLambdaFunction(exp) {
+    return exp.length === 6 && this._isGenericHeader(exp[1]);
+  }
+
+  /**
+   * Whether the function is generic.
+   *
+   * (def foo <K> ((x K)) -> K (+ x x))
+   */
+  _isGenericDefFunction(exp) {
+    return exp.length === 7 && this._isGenericHeader(exp[2]);
+  }
+
+  /**
+   * Transforms def to var-lambda.
+   */
+  _transformDefToVarLambda(exp) {
+    // Async: (async def ...) -> (var <name> (async lambda ...))
+    if (this._isAsyncFunction(exp, 'def')) {
+      const [_tag, name, lambdaExp] = this._transformDefToVarLambda(exp.slice(1));
+      return ['var', name, ['async', ...lambdaExp]];
+    }
+
+    // Generic
+    if (this._isGenericDefFunction(exp)) {
+      const [_tag, name, genericTypesStr, params, _retDel, returnTypeStr, body] = exp;
+
+      return ['var', name, ['lambda', genericTypesStr, params, _retDel, returnTypeStr, body]];
+    }
+
+    // Inferred
+    if (this._isInferredDefFunction(exp)) {
+      const [_tag, name, params, body] = exp;
+      return ['var', name, ['lambda', params, body]];
+    }
+
+    // Simple
+    const [_tag, name, params, _retDel, returnTypeStr, body] = exp;
+    return ['var', name, ['lambda', params, _retDel, returnTypeStr, body]];
+  }
+
+  /**
+   * Creates an object type from its declaration.
+   *
+   * (object (name string) (age number))
+   */
+  _createObjectType(name, objectExp) {
+    const [_tag, ...fieldsExp] = objectExp;
+
+    const fields = new Map();
+
+    fieldsExp.forEach(([fieldName, typeStr]) => {
+      if (fields.has(fieldName)) {
+        throw `Duplicate property "${fieldName}" in type ${name}.`;
+      }
+      fields.set(fieldName, this._typeFromString(typeStr));
+    });
+
+    return new Type.Object({name, fields});
+  }
+
+  /**
+   * Creates a class type from its declaration, and checks the class body.
+   *
+   * (class Point null (begin ...))
+   * (class Person null (Named Aged) (begin ...))
+   */
+  _createClassType(exp, env, onDeclare = null) {
+    const [_tag, name, superClassName, interfaceNames, body] =
+      exp.length === 5 ? exp : [...exp.slice(0, 3), [], exp[3]];
+
+    // Resolve super class (can be an instantiated generic class)
+    const superClass = this._typeFromString(superClassName);
+
+    // Resolve implemented interfaces
+    const interfaces = interfaceNames.map(interfaceName => {
+      const interfaceType = this._typeFromString(interfaceName);
+      if (!(interfaceType instanceof Type.Interface)) {
+        throw `Class ${name} can only implement interfaces, ${interfaceName} is not an interface.`;
+      }
+      return interfaceType;
+    });
+
+    // New class (type)
+    const classType = new Type.Class({name, superClass, interfaces});
+
+    // Class is accessible by name;
+    this._declareType(name, env.define(name, classType));
+
+    // Instantiated generic class is accessible by its actual types:
+    if (onDeclare != null) {
+      onDeclare(classType);
+    }
+
+    // Body is evaluated in the class environment.
+    this._inTypeScope(() => this._tcBody(body, classType.env));
+
+    // Overridden members should be compatible with the super class:
+    this._checkOverrides(classType);
+
+    // Class should supply all members of its interfaces:
+    interfaces.forEach(interfaceType => {
+      this._checkImplements(classType, interfaceType);
+    });
+
+    return classType;
+  }
+
+  /**
+   * Generic class declarations.
+   *
+   * Similarly to generic functions, such classes are *not* checked
+   * at declaration, instead they are checked when instantiated
+   * with actual types: (new Box <number> 5), or Box<number>.
+   */
+  _createGenericClassType(exp, env) {
+    const [_tag, name, genericTypesStr, ...rest] = exp;
+
+    // Instantiated in the type scope of the declaration:
+    const types = this.types;
+
+    // Instantiations for the actual types:
+    const instances = [];
+
+    const genericClass = new Type.GenericClass({
+      name,
+      genericTypesStr: genericTypesStr.slice(1, -1),
+      instantiate: actualTypes =>
+        this._instantiateGenericClass(genericClass, actualTypes, rest, env, types, instances),
+    });
+
+    return this._declareType(name, env.define(name, genericClass));
+  }
+
+  /**
+   * Creates a class type for the actual types of a generic class.
+   *
+   * Generic types in the class body are bound to the actual types.
+   */
+  _instantiateGenericClass(genericClass, actualTypes, classExp, env, types, instances) {
+    if (actualTypes.length !== genericClass.genericTypes.length) {
+      throw `Generic class ${genericClass.name} expects ${
+        genericClass.genericTypes.length
+      } types, ${actualTypes.length} given.`;
+    }
+
+    const genericTypesMap = this._getGenericTypesMap(
+      genericClass.genericTypes,
+      actualTypes.map(actualType => this._typeFromString(actualType)),
+    );
+
+    // Already instantiated:
+    const instance = this._lookupInstance(instances, genericTypesMap);
+
+    if (instance != null) {
+      return instance;
+    }
+
+    const name = `${genericClass.name}<${[...genericTypesMap.values()].join(',')}>`;
+
+    // The instantiation is registered before its body is checked,
+    // which may refer to it: (def get ((self Box<T>)) -> T ...)
+    return this._withTypes(
+      this._createGenericScope(types, genericTypesMap),
+      () => this._createClassType(
+        ['class', name, ...classExp],
+        env,
+        classType => instances.push({
+          actualTypes: [...genericTypesMap.values()],
+          type_: classType,
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Returns an instantiation of a generic for the actual types, if any.
+   *
+   * Instantiations are found by the actual types rather than by names,
+   * since the same name may refer to different types in different
+   * scopes: Box<Point> for two block-local Point classes.
+   */
+  _lookupInstance(instances, genericTypesMap) {
+    const actualTypes = [...genericTypesMap.values()];
+
+    const instance = instances.find(instance =>
+      instance.actualTypes.every((actualType, index) =>
+        actualType.equals(actualTypes[index])
+      )
+    );
+
+    return instance != null ? instance.type_ : null;
+  }
+
+  /**
+   * Type scope to instantiate a generic in: a scope nested in the
+   * scope of the declaration, in which the generic types are bound
+   * to the actual types: (def wrap <K> ((x K)) -> Array<K> ...)
+   */
+  _createGenericScope(types, genericTypesMap) {
+    const record = {};
+
+    genericTypesMap.forEach((actualType, genericType) => {
+      record[genericType] = this._typeFromString(actualType);
+    });
+
+    return new TypeRegistry(record, types);
+  }
+
+  /**
+   * Whether the class is generic.
+   *
+   * (class Box <T> null (begin ...))
+   */
+  _isGenericClass(exp) {
+    return /^<[^>]+>$/.test(exp[2]);
+  }
+
+  /**
+   * Generic type alias declarations.
+   *
+   * (type Result <T> (or T string))
+   *
+   * Instantiated as Result<number> wherever a type is parsed.
+   */
+  _createGenericAliasType(exp) {
+    const [_tag, name, genericTypesStr, base] = exp;
+
+    // Instantiated in the type scope of the declaration:
+    const types = this.types;
+
+    // Instantiations for the actual types:
+    const instances = [];
+
+    const genericAlias = new Type.GenericAlias({
+      name,
+      genericTypesStr: genericTypesStr.slice(1, -1),
+      instantiate: actualTypes =>
+        this._instantiateGenericAlias(genericAlias, actualTypes, base, types, instances),
+    });
+
+    return this._declareType(name, genericAlias);
+  }
+
+  /**
+   * Creates an alias for the actual types of a generic alias.
+   *
+   * The alias is expanded lazily, when its parent type is first
+   * needed, so recursive aliases refer to the same instantiation:
+   *
+   * (type Tree <T> (or T (tuple Tree<T> Tree<T>)))
+   */
+  _instantiateGenericAlias(genericAlias, actualTypes, base, types, instances) {
+    if (actualTypes.length !== genericAlias.genericTypes.length) {
+      throw `Type ${genericAlias.name} expects ${
+        genericAlias.genericTypes.length
+      } type arguments, ${actualTypes.length} given.`;
+    }
+
+    const genericTypesMap = this._getGenericTypesMap(
+      genericAlias.genericTypes,
+      actualTypes.map(actualType => this._typeFromString(actualType)),
+    );
+
+    // Already instantiated:
+    const instance = this._lookupInstance(instances, genericTypesMap);
+
+    if (instance != null) {
+      return instance;
+    }
+
+    const name = `${genericAlias.name}<${[...genericTypesMap.values()].join(',')}>`;
+
+    const scope = this._createGenericScope(types, genericTypesMap);
+
+    const aliasType = new Type.Alias({
+      name,
+      expand: () =>
+        this._withTypes(scope, () =>
+          this._createTypeFromExp(name, base)
+        ),
+    });
+
+    instances.push({actualTypes: [...genericTypesMap.values()], type_: aliasType});
+
+    return aliasType;
+  }
+
+  /**
+   * Creates a type from a type expression.
+   *
+   * (or number string), (object (x number)), Array<number>
+   */
+  _createTypeFromExp(name, typeExp) {
+    if (typeExp[0] === 'or') {
+      const optionTypes = typeExp.slice(1).map(option => this._typeFromString(option));
+      return new Type.Union({
+        name: name || `(or ${optionTypes.join(' ')})`,
+        optionTypes,
+      });
+    }
+
+    if (typeExp[0] === 'and') {
+      return this._createIntersectionType(name, typeExp);
+    }
+
+    if (typeExp[0] === 'object') {
+      return this._createObjectType(name, typeExp);
+    }
+
+    if (typeExp[0] === 'tuple') {
+      return new Type.Tuple({
+        elementTypes: typeExp.slice(1).map(element => this._typeFromString(element)),
+      });
+    }
+
+    if (typeExp[0] === 'is') {
+      const [_tag, paramName, guardedType] = typeExp;
+
+      return new Type.Guard({
+        paramName,
+        guardedType: this._typeFromString(guardedType),
+      });
+    }
+
+    if (Array.isArray(typeExp)) {
+      throw `Unknown type ${this._stringify(typeExp)}.`;
+    }
+
+    return this._typeFromString(typeExp);
+  }
+
+  /**
+   * Creates intersection type: (and Named Aged)
+   *
+   * Simplified intersection, which is not an intersection
+   * anymore, is aliased: (type One (and number 1)).
+   * Contradictory members give the never type.
+   */
+  _createIntersectionType(name, typeExp) {
+    const memberTypes = typeExp.slice(1).map(member => this._typeFromString(member));
+    const type_ = Type.Intersection.fromTypes(memberTypes, name);
+
+    if (type_ instanceof Type.Intersection || type_ === Type.never || name == null) {
+      return type_;
+    }
+
+    return new Type.Alias({name, parent: type_});
+  }
+
+  /**
+   * Creates enum type, and defines constructors of its variants.
+   *
+   * (enum Shape (Circle (r number)) (Rect (w number) (h number)))
+   */
+  _createEnumType(exp, env) {
+    const [_tag, name, ...variantsExp] = exp;
+
+    const variants = new Map();
+
+    variantsExp.forEach(([variantName, ...fieldsExp]) => {
+      if (variants.has(variantName)) {
+        throw `Duplicate variant ${variantName} in enum ${name}.`;
+      }
+
+      // Constructors are defined in the current scope,
+      // and can't replace other variables or constructors:
+      if (env.record.hasOwnProperty(variantName)) {
+        throw `Constructor ${variantName} of enum ${name} is already defined as "${env.lookup(variantName)}".`;
+      }
+
+      const {fields} = this._createObjectType(variantName, ['object', ...fieldsExp]);
+
+      variants.set(variantName, new Type.Variant({name: variantName, fields}));
+    });
+
+    const enumType = this._declareType(name, new Type.Enum({name, variants}));
+
+    // Constructors return the enum type: (Circle 10) -> Shape
+    variants.forEach((variant, variantName) => {
+      env.define(
+        variantName,
+        new Type.Function({
+          paramTypes: [...variant.fields.values()],
+          returnType: enumType,
+        }),
+      );
+    });
+
+    return enumType;
+  }
+
+  /**
+   * Checks match-expression.
+   *
+   * (match s
+   *   ((Circle r) (* r r))
+   *   ((Rect w h) (* w h))
+   *   (_ 0))
+   */
+  _tcMatch(exp, env) {
+    const [_tag, value, ...arms] = exp;
+
+    const enumType = this._unalias(this.tc(value, env));
+
+    if (!(enumType instanceof Type.Enum)) {
+      throw `\nExpected enum type for ${value} in match, but got "${enumType}" type.\n`;
+    }
+
+    // Variants handled by previous arms:
+    const covered = new Set();
+    let hasWildcard = false;
+
+    let resultType = null;
+
+    arms.forEach(([pattern, body]) => {
+      const patternStr = this._stringify(pattern);
+
+      if (hasWildcard) {
+        throw `\nUnreachable match arm ${patternStr}, all variants are already matched in ${this._stringify(exp)}.\n`;
+      }
+
+      let armEnv = env;
+
+      // Wildcard: (_ <default>), matches the remaining variants
+      if (pattern === '_') {
+        if (covered.size === enumType.variants.size) {
+          throw `\nUnreachable match arm ${patternStr}, all variants are already matched in ${this._stringify(exp)}.\n`;
+        }
+
+        hasWildcard = true;
+      } else {
+        const [variantName, ...bindings] = pattern;
+        const variant = enumType.getVariant(variantName);
+
+        if (covered.has(variantName)) {
+          throw `\nUnreachable match arm ${patternStr}, variant ${variantName} is already matched in ${this._stringify(exp)}.\n`;
+        }
+
+        covered.add(variantName);
+
+        armEnv = new TypeEnvironment(
+          this._bindVariantFields(variant, bindings, pattern),
+          env,
+        );
+      }
+
+      const armType = this.tc(body, armEnv);
+
+      // Arms which don't return don't affect the type:
+      if (this._isNever(armType)) {
+        return;
+      }
+
+      if (resultType == null || this._isCompatible(resultType, armType)) {
+        // The wider type of the arms:
+        resultType = armType;
+      } else if (!this._isCompatible(armType, resultType)) {
+        // Different literals of the same base type:
+        resultType = this._expect(
+          this._widen(armType),
+          this._widen(resultType),
+          body,
+          exp,
+        );
+      }
+    });
+
+    // Exhaustiveness: all variants should be matched.
+    const missing = [...enumType.variants.keys()].filter(
+      variantName => !covered.has(variantName)
+    );
+
+    if (!hasWildcard && missing.length > 0) {
+      throw `\nNon-exhaustive match on ${enumType}, missing: ${missing.join(', ')} in ${this._stringify(exp)}.\n`;
+    }
+
+    // All arms don't return:
+    if (resultType == null) {
+      return Type.never;
+    }
+
+    return this._resolveType(resultType);
+  }
+
+  /**
+   * Binds variant fields to the pattern names: (Rect w h)
+   *
+   * The _ name skips a field.
+   */
+  _bindVariantFields(variant, bindings, pattern) {
+    if (bindings.length !== variant.fields.size) {
+      throw `\nVariant ${variant} has ${variant.fields.size} fields, ${
+        bindings.length
+      } bound in ${this._stringify(pattern)}.\n`;
+    }
+
+    const record = {};
+    const fieldTypes = [...variant.fields.values()];
+
+    bindings.forEach((binding, index) => {
+      if (binding !== '_') {
+        record[binding] = fieldTypes[index];
+      }
+    });
+
+    return record;
+  }
+
+  /**
+   * Whether the type alias is generic.
+   *
+   * (type Result <T> (or T string))
+   */
+  _isGenericAlias(exp) {
+    return exp.length === 4 && /^<[^>]+>$/.test(exp[2]);
+  }
+
+  /**
+   * Returns type of a tuple element, the index should
+   * be a number literal within the tuple bounds.
+   *
+   * (idx pair 0)
+   */
+  _tupleElementType(tupleType, index, exp) {
+    if (!this._isNumber(index)) {
+      throw `\nTuple index should be a number literal, got ${index} in ${exp}.\n`;
+    }
+
+    if (index < 0 || index >= tupleType.elementTypes.length) {
+      throw `\nTuple index ${index} is out of bounds for "${tupleType}" in ${exp}.\n`;
+    }
+
+    return tupleType.elementTypes[index];
+  }
+
+  /**
+   * Defines variables for tuple elements.
+   *
+   * (var ((a b) Tuple<number,string>) (tuple 1 "x"))
+   */
+  _destructureTuple(names, type_, env, exp) {
+    const tupleType = this._unalias(type_);
+
+    if (!(tupleType instanceof Type.Tuple)) {
+      throw `\nTuple destructuring requires a tuple type, got "${type_}" in ${this._stringify(exp)}.\n`;
+    }
+
+    if (names.length !== tupleType.elementTypes.length) {
+      throw `\nTuple "${type_}" has ${tupleType.elementTypes.length} elements, ${names.length} names given in ${exp}.\n`;
+    }
+
+    names.forEach((name, index) => {
+      env.define(name, tupleType.elementTypes[index]);
+    });
+
+    return type_;
+  }
+
+  /**
+   * Checks that a class supplies every member of an interface.
+   */
+  _checkImplements(classType, interfaceType) {
+    interfaceType.fields.forEach((memberType, memberName) => {
+      if (!classType.hasField(memberName)) {
+        throw `Class ${classType.name} doesn't implement member "${memberName}" of interface ${interfaceType.name}.`;
+      }
+
+      const classMemberType = classType.getField(memberName);
+
+      if (!Type.isAssignableTo(this._asInterfaceMember(classMemberType, classType, memberType), memberType)) {
+        throw `Member "${memberName}" of class ${classType.name} has type "${classMemberType}", but interface ${interfaceType.name} expects "${memberType}".`;
+      }
+    });
+  }
+
+  /**
+   * Checks that the members of a class which override the members
+   * of its super class can be used in their place: method parameters
+   * are contravariant, and return types are covariant.
+   *
+   * Constructors are not inherited by instances, and are not checked.
+   */
+  _checkOverrides(classType) {
+    const {superClass} = classType;
+
+    if (!(superClass instanceof Type.Class)) {
+      return;
+    }
+
+    Object.entries(classType.env.record).forEach(([memberName, memberType]) => {
+      if (memberName === 'constructor' || !superClass.hasField(memberName)) {
+        return;
+      }
+
+      const superMemberType = superClass.getField(memberName);
+      const overrideType = this._asInterfaceMember(memberType, classType, superMemberType);
+
+      if (!Type.isAssignableTo(overrideType, superMemberType)) {
+        const mismatch = this._functionMismatch(overrideType, superMemberType);
+        const reason = mismatch == null ? '' : `: ${mismatch}`;
+
+        throw `Member "${memberName}" of class ${classType.name} has type "${memberType}", but super class ${superClass.name} expects "${superMemberType}"${reason}.`;
+      }
+    });
+  }
+
+  /**
+   * Returns the type of a class member, as compared to the interface
+   * (or super class) member. The self parameter of a method is the class, which in the
+   * interface is the interface (methods are called with explicit self):
+   *
+   * Fn<string<Person>> -> Fn<string<Named>>
+   */
+  _asInterfaceMember(classMemberType, classType, memberType) {
+    if (
+      !(classMemberType instanceof Type.Function) ||
+      !(memberType instanceof Type.Function) ||
+      classMemberType.paramTypes.length === 0 ||
+      !this._isSubclassOf(classType, classMemberType.paramTypes[0])
+    ) {
+      return classMemberType;
+    }
+
+    const [_self, ...paramTypes] = classMemberType.paramTypes;
+
+    // Self is the interface, or other type of the instance:
+    const selfType = memberType.paramTypes[0];
+
+    if (selfType == null || !Type.isAssignableTo(classType, selfType)) {
+      return classMemberType;
+    }
+
+    return new Type.Function({
+      paramTypes: [selfType, ...paramTypes],
+      returnType: classMemberType.returnType,
+    });
+  }
+
+  /**
+   * Checks a condition, and returns environments for the consequent
+   * and alternate branches, narrowed by the condition.
+   */
+  _tcCondition(condition, env, exp) {
+    // Boolean condition
+    this._expectCondition(condition, env, exp);
+
+    return [
+      this._narrowEnv(env, this._narrowings(condition, env, true)),
+      this._narrowEnv(env, this._narrowings(condition, env, false)),
+    ];
+  }
+
+  /**
+   * Creates environment with narrowed types of variables
+   * and property paths, or returns the same environment
+   * if nothing is narrowed.
+   */
+  _narrowEnv(env, narrowings) {
+    if (narrowings.size === 0) {
+      return env;
+    }
+    return env.narrow(Object.fromEntries(narrowings));
+  }
+
+  /**
+   * Drops narrowed types of an assigned reference: (set x 10)
+   */
+  _dropNarrowings(ref, env) {
+    const key = this._referenceKey(ref);
+
+    if (key != null) {
+      env.dropNarrowings(key);
+    }
+  }
+
+  /**
+   * Returns references assigned in the expression:
+   * (set x 10), (set (prop p name) "x")
+   */
+  _assignedReferences(exp, refs = new Set()) {
+    if (!Array.isArray(exp)) {
+      return refs;
+    }
+
+    if (exp[0] === 'set') {
+      refs.add(exp[1]);
+    }
+
+    exp.forEach(subExp => this._assignedReferences(subExp, refs));
+    return refs;
+  }
+
+  /**
+   * Returns narrowed types of references (variables and property
+   * paths), when the condition is true (or false):
+   *
+   * (== (typeof x) "string"), (!= x null), (== (prop p kind) "circle"),
+   * (not ...), (and ...), (or ...)
+   */
+  _narrowings(condition, env, isTrue) {
+    // In the truthiness mode a true reference is not null: (if x ...)
+    const ref = this._referenceKey(condition);
+
+    if (this.truthiness && isTrue && ref != null) {
+      const type_ = this.tc(condition, env);
+
+      if (this._includesNull(type_)) {
+        return new Map([[ref, this._removeNull(type_)]]);
+      }
+    }
+
+    if (!Array.isArray(condition)) {
+      return new Map();
+    }
+
+    const [op, ...operands] = condition;
+
+    if (op === 'not') {
+      return this._narrowings(operands[0], env, !isTrue);
+    }
+
+    if (op === 'and' || op === 'or') {
+      // All operands have the same value: true for (and ...),
+      // and false for (or ...), narrowings are accumulated:
+      if ((op === 'and') === isTrue) {
+        const narrowings = new Map();
+
+        operands.forEach(operand => {
+          this._narrowings(operand, this._narrowEnv(env, narrowings), isTrue)
+            .forEach((type_, ref) => narrowings.set(ref, type_));
+        });
+
+        return narrowings;
+      }
+
+      // Otherwise, one of the operands decides the value,
+      // while the previous ones have the opposite value:
+      const alternatives = [];
+      const previous = new Map();
+
+      operands.forEach(operand => {
+        const operandEnv = this._narrowEnv(env, previous);
+
+        alternatives.push(new Map([
+          ...previous,
+          ...this._narrowings(operand, operandEnv, isTrue),
+        ]));
+
+        this._narrowings(operand, operandEnv, !isTrue)
+          .forEach((type_, ref) => previous.set(ref, type_));
+      });
+
+      return this._joinNarrowings(alternatives);
+    }
+
+    if (op === '==' || op === '!=') {
+      return this._narrowComparison(condition, env, (op === '==') === isTrue);
+    }
+
+    // Instance check: (instanceof x Point3D)
+    if (op === 'instanceof') {
+      const [value, className] = operands;
+      const ref = this._referenceKey(value);
+
+      if (ref == null) {
+        return new Map();
+      }
+
+      return new Map([[ref, this._narrowByClass(
+        this.tc(value, env),
+        this._unalias(this._typeFromString(className)),
+        isTrue,
+      )]]);
+    }
+
+    // Type guard call: (isUser x)
+    const guard = this._getGuardType(op, env);
+
+    if (guard != null) {
+      const value = operands[guard.paramIndex];
+      const ref = this._referenceKey(value);
+
+      if (ref == null) {
+        return new Map();
+      }
+
+      return new Map([[ref, this._narrowByType(
+        this.tc(value, env),
+        guard.guardedType,
+        isTrue,
+      )]]);
+    }
+
+    return new Map();
+  }
+
+  /**
+   * Narrows type by instanceof-check: picks instances
+   * of the class (or excludes them, when isInstance is false).
+   */
+  _narrowByClass(type_, classType, isInstance) {
+    const unaliased = this._unalias(type_);
+
+    const optionTypes = unaliased instanceof Type.Union
+      ? unaliased.optionTypes
+      : [unaliased];
+
+    const narrowedTypes = [];
+
+    optionTypes.forEach(t => {
+      // Subclasses are always instances of the class:
+      if (this._isSubclassOf(t, classType)) {
+        if (isInstance) {
+          narrowedTypes.push(t);
+        }
+        return;
+      }
+
+      // Super classes may be instances of the class:
+      if (isInstance) {
+        if (this._canBeInstanceOf(t, classType)) {
+          narrowedTypes.push(classType);
+        }
+      } else {
+        narrowedTypes.push(t);
+      }
+    });
+
+    if (narrowedTypes.length === 0) {
+      return Type.never;
+    }
+
+    return this._createUnionType(narrowedTypes);
+  }
+
+  /**
+   * Whether the type is the class, or its subclass.
+   */
+  _isSubclassOf(type_, classType) {
+    for (let t = this._unalias(type_); t instanceof Type.Class; t = t.superClass) {
+      if (t === classType) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether a value of the type can be an instance of the class:
+   * it's the class, its sub- or super class (or a union of them),
+   * or an interface implemented by the class.
+   */
+  _canBeInstanceOf(type_, classType) {
+    const unaliased = this._unalias(type_);
+
+    if (unaliased === Type.any) {
+      return true;
+    }
+
+    if (unaliased instanceof Type.Union) {
+      return unaliased.optionTypes.some(t => this._canBeInstanceOf(t, classType));
+    }
+
+    // (var (n Named) (new Person)) (instanceof n Person)
+    if (unaliased instanceof Type.Object) {
+      return Type.isAssignableTo(classType, unaliased);
+    }
+
+    return (
+      this._isSubclassOf(unaliased, classType) ||
+      this._isSubclassOf(classType, unaliased)
+    );
+  }
+
+  /**
+   * Narrows a reference compared by == (or !=, when isEqual is false):
+   *
+   * (== (typeof x) "string"), (== x null), (== name "alex")
+   */
+  _narrowComparison(condition, env, isEqual) {
+    const [_op, lhs, rhs] = condition;
+
+    // Type casting: (== (typeof x) "string")
+    if (Array.isArray(lhs) && lhs[0] === 'typeof') {
+      const ref = this._referenceKey(lhs[1]);
+
+      if (ref == null || !/^"[^"]*"$/.test(rhs)) {
+        return new Map();
+      }
+
+      const type_ = this.tc(lhs[1], env);
+      const castType = this._typeFromString(rhs.slice(1, -1));
+
+      return new Map([[ref, this._narrowByType(type_, castType, isEqual)]]);
+    }
+
+    const ref = this._referenceKey(lhs);
+
+    if (ref == null) {
+      return new Map();
+    }
+
+    const type_ = this.tc(lhs, env);
+
+    // Null check: (!= x null)
+    if (rhs === 'null') {
+      if (!this._includesNull(type_)) {
+        return new Map();
+      }
+      return new Map([[ref, isEqual ? Type.null : this._removeNull(type_)]]);
+    }
+
+    // Literal of a union of literals: (== name "alex")
+    if (Type.Literal.isLiteral(rhs)) {
+      const literal = Type.Literal.fromString(rhs);
+      const unaliased = this._unalias(type_);
+
+      // The only literal left is excluded:
+      if (unaliased instanceof Type.Literal) {
+        return literal.equals(unaliased) && !isEqual
+          ? new Map([[ref, Type.never]])
+          : new Map();
+      }
+
+      if (
+        !(unaliased instanceof Type.Union) ||
+        !unaliased.optionTypes.some(t => t.equals(literal))
+      ) {
+        return new Map();
+      }
+
+      if (isEqual) {
+        return new Map([[ref, literal]]);
+      }
+
+      return new Map([[ref, this._createUnionType(
+        unaliased.optionTypes.filter(t => !literal.equals(t))
+      )]]);
+    }
+
+    return new Map();
+  }
+
+  /**
+   * Returns type guard of the called function, if it's a guard:
+   *
+   * (def isUser ((x any)) -> (is x User) ...)
+   */
+  _getGuardType(fnExp, env) {
+    if (!this._isVariableName(fnExp) || !env.has(fnExp)) {
+      return null;
+    }
+
+    const fn = this._prune(env.lookup(fnExp));
+
+    if (fn instanceof Type.Function && fn.returnType instanceof Type.Guard) {
+      return fn.returnType;
+    }
+
+    return null;
+  }
+
+  /**
+   * Narrows type by typeof-check or a type guard: picks union
+   * options of the type (or excludes them, when isEqual is false).
+   */
+  _narrowByType(type_, castType, isEqual) {
+    const unaliased = this._unalias(type_);
+
+    if (!(unaliased instanceof Type.Union)) {
+      const widened = this._widen(unaliased);
+
+      if (isEqual) {
+        // Types which don't overlap narrow to never:
+        // (var (x number) 1) (if (== (typeof x) "string") ...)
+        const overlaps =
+          this._hasTypeVariables(widened) ||
+          Type.isAssignableTo(widened, castType) ||
+          Type.isAssignableTo(castType, widened) ||
+          (
+            widened instanceof Type.Opaque &&
+            widened.bound != null &&
+            this._narrowByType(widened.bound, castType, true) !== Type.never
+          );
+
+        return overlaps ? castType : Type.never;
+      }
+
+      // The only type is excluded:
+      return Type.isAssignableTo(widened, castType) ? Type.never : type_;
+    }
+
+    const optionTypes = unaliased.optionTypes.filter(
+      t => Type.isAssignableTo(this._widen(t), castType) === isEqual
+    );
 
-    return new Type.GenericFunction({
-      genericTypesStr: genericTypes.slice(1, -1),
-      params,
-      body,
-      returnType,
-      env, // Closure
-    });
+    // No option overlaps, or all options are excluded:
+    if (optionTypes.length === 0) {
+      return Type.never;
+    }
+
+    return this._createUnionType(optionTypes);
   }
 
   /**
-   * Whether the function is generic.
-   *
-   * (lambda <K> ((x K)) -> K (+ x x))
+   * Joins alternative narrowings: a reference is narrowed
+   * if it's narrowed in all alternatives, to a union of the types.
    */
-  _isGenericLambdaFunction(exp) {
-    return exp.length === 6 && /^<[^>]+>$/.test(exp[1]);
+  _joinNarrowings(alternatives) {
+    const narrowings = new Map();
+
+    alternatives[0].forEach((_type, ref) => {
+      if (alternatives.every(alternative => alternative.has(ref))) {
+        narrowings.set(ref, this._createUnionType(
+          alternatives.map(alternative => alternative.get(ref))
+        ));
+      }
+    });
+
+    return narrowings;
   }
 
   /**
-   * Whether the function is generic.
+   * Joins two types (least upper bound): the narrowest type
+   * which accepts values of both types.
    *
-   * (def foo <K> ((x K)) -> K (+ x x))
+   *   number, number   -> number
+   *   1, 2             -> number
+   *   Dog, Cat         -> Animal
+   *   number, string   -> (or number string)
    */
-  _isGenericDefFunction(exp) {
-    return exp.length === 7 && /^<[^>]+>$/.test(exp[2]);
+  _join(t1, t2) {
+    // A type which has no values doesn't affect the join:
+    if (this._isNever(t1)) {
+      return this._resolveType(t2);
+    }
+
+    if (this._isNever(t2)) {
+      return this._resolveType(t1);
+    }
+
+    // Inferred types are unified: (lambda (x) (if x 1 x))
+    if (this._hasTypeVariables(t1) || this._hasTypeVariables(t2)) {
+      if (this._unify(t2, t1)) {
+        return this._resolveType(t1);
+      }
+    }
+
+    // The wider type: (if c (new Dog) (new Animal))
+    if (Type.isAssignableTo(t2, t1)) {
+      return this._resolveType(t1);
+    }
+
+    if (Type.isAssignableTo(t1, t2)) {
+      return this._resolveType(t2);
+    }
+
+    // Literals join by their base types: (if c 1 2)
+    if (this._widen(t1) !== t1 || this._widen(t2) !== t2) {
+      return this._join(this._widen(t1), this._widen(t2));
+    }
+
+    // The closest common super class: (if c (new Dog) (new Cat))
+    for (let c = this._unalias(t1).superClass; c instanceof Type.Class; c = c.superClass) {
+      if (this._isSubclassOf(t2, c)) {
+        return c;
+      }
+    }
+
+    return this._createUnionType([
+      ...this._unionOptions(t1),
+      ...this._unionOptions(t2),
+    ]);
   }
 
   /**
-   * Transforms def to var-lambda.
+   * Options of a union which is joined with another type,
+   * enums and other types are joined as a whole.
    */
-  _transformDefToVarLambda(exp) {
-    // Generic
-    if (this._isGenericDefFunction(exp)) {
-      const [_tag, name, genericTypesStr, params, _retDel, returnTypeStr, body] = exp;
+  _unionOptions(type_) {
+    const unaliased = this._unalias(type_);
 
-      return ['var', name, ['lambda', genericTypesStr, params, _retDel, returnTypeStr, body]];
+    if (unaliased.constructor === Type.Union) {
+      return unaliased.optionTypes;
     }
 
-    // Simple
-    const [_tag, name, params, _retDel, returnTypeStr, body] = exp;
-    return ['var', name, ['lambda', params, _retDel, returnTypeStr, body]];
+    return [type_];
   }
 
   /**
-   * Whether the if-condition is type casting/specification.
-   *
-   * This is used with union types to make a type concrete:
-   *
-   * (if (== (typeof foo) "string") ...)
-   *
+   * Creates a union type from options, removing duplicates:
+   * a single option is returned as is.
    */
-  _isTypeCastCondition(condition) {
-    const [op, lhs] = condition;
-    return op === '==' && lhs[0] === 'typeof';
+  _createUnionType(optionTypes) {
+    const uniqueTypes = [];
+
+    // Never options have no values:
+    optionTypes.filter(t => !this._isNever(t)).forEach(t => {
+      if (!uniqueTypes.some(u => u === t || (u.equals(t) && t.equals(u)))) {
+        uniqueTypes.push(t);
+      }
+    });
+
+    if (uniqueTypes.length === 0) {
+      return Type.never;
+    }
+
+    if (uniqueTypes.length === 1) {
+      return uniqueTypes[0];
+    }
+
+    return new Type.Union({
+      name: `(or ${uniqueTypes.join(' ')})`,
+      optionTypes: uniqueTypes,
+    });
   }
 
   /**
-   * Returns specific type after casting.
-   *
-   * This is used with union types to make a type concrete:
-   *
-   * (if (== (typeof foo) "string") ...)
-   *
+   * Returns key of a narrowable reference: variable name,
+   * or property path: (prop (prop p shape) kind) -> p.shape.kind
    */
-  _getSpecifiedType(condition) {
-    const [_op, [_typeof, name], specificType] = condition;
+  _referenceKey(exp) {
+    if (this._isVariableName(exp)) {
+      return exp;
+    }
 
-    // Return name and the new type (stripping quotes).
-    return [name, specificType.slice(1, -1)];
+    if (Array.isArray(exp) && exp[0] === 'prop') {
+      const objectKey = this._referenceKey(exp[1]);
+      return objectKey == null ? null : `${objectKey}.${exp[2]}`;
+    }
+
+    return null;
   }
 
   /**
    * Checks function call.
    */
-  _checkFunctionCall(fn, argTypes, env, exp) {
+  _checkFunctionCall(fn, argValues, env, exp) {
     // Check arity
-    if (fn.paramTypes.length !== argTypes.length) {
+    if (fn.paramTypes.length !== argValues.length) {
       throw `\nFunction ${exp[0]} ${fn.getName()} expects ${
         fn.paramTypes.length
-      } arguments, ${argTypes.length} given in ${exp}.\n`
+      } arguments, ${argValues.length} given in ${exp}.\n`
     }
 
-    // Check if argument types match the parameter types:
-    argTypes.forEach((argType, index) => {
+    // Check arguments against the parameter types,
+    // which are pushed into lambda arguments:
+    argValues.forEach((arg, index) => {
       if (fn.paramTypes[index] === Type.any) {
+        this.tc(arg, env);
         return;
       }
-      this._expect(argType, fn.paramTypes[index], argTypes[index], exp);
+      this.check(arg, fn.paramTypes[index], env, exp);
     });
 
-    return fn.returnType;
+    // Result of a type guard call is boolean:
+    return fn.returnType instanceof Type.Guard ? Type.boolean : fn.returnType;
   }
 
   /**
    * Checks function body.
    */
-  _tcFunction(params, returnTypeStr, body, env) {
-    const returnType = Type.fromString(returnTypeStr);
+  _tcFunction(params, returnTypeStr, body, env, isAsync = false) {
+    // Not annotated return type is inferred from the body:
+    let returnType = returnTypeStr == null ? null : this._typeFromString(returnTypeStr);
 
     // Parameters environment and types:
     const paramsRecord = {};
     const paramTypes = [];
 
-    params.forEach(([name, typeStr]) => {
-      const paramType = Type.fromString(typeStr);
+    params.forEach(param => {
+      const name = typeof param === 'string' ? param : param[0];
+      const paramType = this._paramType(param, ['lambda', params, body]);
       paramsRecord[name] = paramType;
       paramTypes.push(paramType);
     });
-    const fnEnv = new TypeEnvironment(paramsRecord, env);
+    const fnEnv = new TypeEnvironment(paramsRecord, env, isAsync);
+
+    // Type guard: -> (is x User), the body should return boolean.
+    let guardType = null;
+
+    if (returnType instanceof Type.Guard) {
+      guardType = this._createGuardType(returnType, params);
+      returnType = Type.boolean;
+    }
+
+    // Check the body in the extended environment,
+    // declared return type is pushed into the body:
+    let actualReturnType = this._inTypeScope(() =>
+      returnType != null && !isAsync
+        ? this._checkBody(body, returnType, fnEnv)
+        : this._tcBody(body, fnEnv)
+    );
+
+    // Async function may also return a promise of its return type:
+    if (isAsync && actualReturnType instanceof Type.Promise) {
+      actualReturnType = actualReturnType.valueType;
+    }
 
-    // Check the body in the extended environment:
-    const actualReturnType = this._tcBody(body, fnEnv);
+    if (returnType == null) {
+      returnType = this._widen(actualReturnType);
+    }
 
     // Check return type:
-    if (!returnType.equals(actualReturnType)) {
+    if (!this._isCompatible(actualReturnType, returnType)) {
       throw `Expected function ${body} to return ${returnType}, but got ${actualReturnType}.`
     }
 
+    if (guardType != null) {
+      returnType = guardType;
+    }
+
     // Function type records its parameters and return type,
-    // so we can use them to validate function calls:
-    return new Type.Function({
+    // so we can use them to validate function calls.
+    // Async functions return a promise:
+    return this._resolveType(new Type.Function({
       paramTypes,
-      returnType
+      returnType: isAsync ? new Type.Promise({valueType: returnType}) : returnType,
+    }));
+  }
+
+  /**
+   * Creates type guard for the function parameter,
+   * recording its position: (is x User)
+   */
+  _createGuardType(guard, params) {
+    const paramIndex = params.findIndex(
+      param => (typeof param === 'string' ? param : param[0]) === guard.paramName
+    );
+
+    if (paramIndex === -1) {
+      throw `\nType guard ${guard} refers to unknown parameter "${guard.paramName}".\n`;
+    }
+
+    return new Type.Guard({
+      paramName: guard.paramName,
+      guardedType: guard.guardedType,
+      paramIndex,
     });
   }
 
@@ -610,13 +3046,68 @@ class EvaTC {
 
     const [_tag, ...expressions] = block;
 
-    expressions.forEach(exp => {
+    expressions.forEach((exp, index) => {
+      if (index > 0) {
+        this._expectReachable(result, expressions[index - 1], exp);
+      }
       result = this.tc(exp, env);
     });
 
     return result;
   }
 
+  /**
+   * Throws for code after an expression of the never type,
+   * which doesn't return: (throw "error")
+   *
+   * Declarations evaluate to the declared type, which
+   * may be never: (type N never)
+   */
+  _expectReachable(type_, exp, nextExp) {
+    if (this._isDeclaration(exp)) {
+      return;
+    }
+
+    if (this._isNever(type_)) {
+      throw `\nUnreachable code ${this._stringify(nextExp)} after ${this._stringify(exp)}.\n`;
+    }
+  }
+
+  /**
+   * Checks the instance of a property access: (prop p name), and
+   * returns its (unaliased) type, which should be an object type.
+   */
+  _tcInstance(instance, env, exp) {
+    let instanceType = this._unalias(
+      this._expectNonNull(this.tc(instance, env), instance, exp)
+    );
+
+    // Fields of a bounded generic type: (prop shape area), shape: T extends Shape
+    if (instanceType instanceof Type.Opaque && instanceType.bound != null) {
+      instanceType = this._unalias(instanceType.bound);
+    }
+
+    if (typeof instanceType.getField !== 'function') {
+      throw `\nExpected object type for ${instance} in ${exp}, but got "${instanceType}" type.\n`;
+    }
+
+    return instanceType;
+  }
+
+  /**
+   * Whether the expression declares a type.
+   */
+  _isDeclaration(exp) {
+    return Array.isArray(exp) && ['type', 'interface', 'enum', 'class'].includes(exp[0]);
+  }
+
+  /**
+   * Whether the type is never.
+   */
+  _isNever(type_) {
+    return this._unalias(this._prune(type_)) === Type.never;
+  }
+
   /**
    * Whether the expression is a variable name.
    */
@@ -624,6 +3115,51 @@ class EvaTC {
     return typeof exp === 'string' && /^[+\-*/<>=a-zA-Z0-9_:]+$/.test(exp);
   }
 
+  /**
+   * Resolves a type annotation in the current type scope.
+   */
+  _typeFromString(typeStr) {
+    // Type expressions: (or null (object (head number)))
+    if (Array.isArray(typeStr)) {
+      return this._createTypeFromExp(null, typeStr);
+    }
+
+    return Type.fromString(typeStr, this.types);
+  }
+
+  /**
+   * Declares a type in the current type scope: types of the outer
+   * scopes can be shadowed, but not redeclared in the same scope.
+   */
+  _declareType(name, type_) {
+    if (this.types.hasOwn(name) || Type.builtins.has(name)) {
+      throw `Type ${name} is already defined ${this.types.lookup(name)}`;
+    }
+    return this.types.define(name, type_);
+  }
+
+  /**
+   * Checks code in the given type scope.
+   */
+  _withTypes(types, fn) {
+    const outerTypes = this.types;
+    this.types = types;
+
+    try {
+      return fn();
+    } finally {
+      this.types = outerTypes;
+    }
+  }
+
+  /**
+   * Checks code in a new type scope nested in the current one:
+   * types declared in a block are not visible outside of it.
+   */
+  _inTypeScope(fn) {
+    return this._withTypes(new TypeRegistry({}, this.types), fn);
+  }
+
   /**
    * Creates a Global TypeEnvironment.
    */
@@ -661,11 +3197,97 @@ class EvaTC {
     const t1 = this.tc(exp[1], env);
     const t2 = this.tc(exp[2], env);
 
-    this._expect(t2, t1, exp[2], exp);
+    // Numbers are ordered: (> x 0)
+    if (exp[0] !== '==' && exp[0] !== '!=') {
+      this._expect(t1, Type.number, exp[1], exp);
+      this._expect(t2, Type.number, exp[2], exp);
+      return Type.boolean;
+    }
+
+    // Operands are comparable if either of them is accepted by
+    // the (widened) type of the other: (== name "alex"), (== "alex" name)
+    //
+    // Anything can be compared with null: (!= x null)
+    if (
+      t1 !== Type.null &&
+      t2 !== Type.null &&
+      !this._isCompatible(t2, this._widen(t1)) &&
+      !this._isCompatible(t1, this._widen(t2))
+    ) {
+      this._throw(t2, t1, exp[2], exp);
+    }
+
+    return Type.boolean;
+  }
+
+  /**
+   * Whether the expression is a logical operator.
+   */
+  _isLogical(exp) {
+    return exp[0] === 'and' || exp[0] === 'or' || exp[0] === 'not';
+  }
+
+  /**
+   * Logical operators.
+   */
+  _logical(exp, env) {
+    const [op, ...operands] = exp;
+
+    if (op === 'not') {
+      this._checkArity(exp, 1);
+      this._expectCondition(operands[0], env, exp);
+      return Type.boolean;
+    }
+
+    if (operands.length < 2) {
+      throw `\nOperator '${op}' expects at least 2 operands, ${
+        operands.length
+      } given in ${exp}.\n`;
+    }
+
+    let operandEnv = env;
+
+    const operandTypes = operands.map((operand, index) => {
+      let type_ = this._widen(this._expectCondition(operand, operandEnv, exp));
+
+      // (or ...) returns a previous operand only if it's truthy:
+      if (op === 'or' && index < operands.length - 1) {
+        type_ = this._removeNull(type_);
+      }
+
+      // The next operand is evaluated only if this one
+      // is true for (and ...), and false for (or ...):
+      operandEnv = this._narrowEnv(
+        operandEnv,
+        this._narrowings(operand, operandEnv, op === 'and'),
+      );
+
+      return type_;
+    });
+
+    // In the truthiness mode the deciding operand is returned:
+    // (or name "anonymous")
+    if (this.truthiness) {
+      return this._createUnionType(operandTypes);
+    }
 
     return Type.boolean;
   }
 
+  /**
+   * Checks a condition, which should be boolean,
+   * or of any type in the truthiness mode.
+   */
+  _expectCondition(condition, env, exp) {
+    const type_ = this.tc(condition, env);
+
+    if (!this.truthiness) {
+      this._expect(type_, Type.boolean, condition, exp);
+    }
+
+    return type_;
+  }
+
   /**
    * Whether the expression is binary.
    */
@@ -675,14 +3297,64 @@ class EvaTC {
 
   /**
    * Binary operators.
+   *
+   * Both operands should be of the same type allowed
+   * by the operator: (+ 1 2), (+ "a" "b"), but not (+ 1 "b").
    */
   _binary(exp, env) {
     this._checkArity(exp, 2);
 
-    const t1 = this.tc(exp[1], env);
-    const t2 = this.tc(exp[2], env);
+    const t1 = this._widen(this.tc(exp[1], env));
+    const t2 = this._widen(this.tc(exp[2], env));
+
+    const operandTypes = this._getOperandTypesForOperator(exp[0]);
+
+    // Inferred operands are constrained to the operand types, and
+    // unified: (+ x y) -> x, y: (or string number), (* x x) -> x: number
+    if (this._hasTypeVariables(t1) || this._hasTypeVariables(t2)) {
+      [[t1, exp[1]], [t2, exp[2]]].forEach(([t, operand]) => {
+        if (!this._constrainType(t, operandTypes)) {
+          this._throw(t, this._createUnionType(operandTypes), operand, exp);
+        }
+
+        if (operandTypes.length === 1) {
+          this._expect(t, operandTypes[0], operand, exp);
+        }
+      });
+
+      return this._resolveType(this._expect(t2, t1, exp[2], exp));
+    }
+
+    // Operands of the same union type (or generic type bounded by it),
+    // all options of which are allowed: (+ a b) with a, b: (or number string)
+    const unionType = this._unalias(
+      t1 instanceof Type.Opaque && t1.bound != null ? t1.bound : t1
+    );
+
+    if (
+      unionType instanceof Type.Union &&
+      t1.equals(t2) &&
+      unionType.optionTypes.every(option =>
+        operandTypes.some(t => this._isCompatible(option, t))
+      )
+    ) {
+      return t1;
+    }
+
+    // The operation type is given by the first allowed operand:
+    // (+ x 1) with x: (or number string) -> number, x is an error.
+    const operationType =
+      operandTypes.find(t => this._isCompatible(t1, t)) ||
+      operandTypes.find(t => this._isCompatible(t2, t));
 
-    return this._expect(t2, t1, exp[2], exp);
+    if (operationType == null) {
+      this._throw(t1, this._createUnionType(operandTypes), exp[1], exp);
+    }
+
+    this._expect(t1, operationType, exp[1], exp);
+    this._expect(t2, operationType, exp[2], exp);
+
+    return operationType;
   }
 
   /**
@@ -704,31 +3376,121 @@ class EvaTC {
   }
 
   /**
-   * Throws if operator type doesn't expect the operand.
+   * Resolves aliases to the actual type: (type Index int) -> number
+   */
+  _unalias(type_) {
+    while (type_ instanceof Type.Alias) {
+      type_ = type_.parent;
+    }
+    return type_;
+  }
+
+  /**
+   * Widens a literal type to its base type: "alex" -> string
+   */
+  _widen(type_) {
+    if (type_ instanceof Type.Literal) {
+      return type_.base;
+    }
+
+    // Result of a type guard call is boolean:
+    if (type_ instanceof Type.Guard) {
+      return Type.boolean;
+    }
+
+    return type_;
+  }
+
+  /**
+   * Whether the type includes null: null, number?, (or string null)
    */
-  _expectOperatorType(type_, allowedTypes, exp) {
-    // For union type, _all_ sub-types should support this operation:
+  _includesNull(type_) {
+    type_ = this._unalias(type_);
+
+    if (type_ === Type.null) {
+      return true;
+    }
+
     if (type_ instanceof Type.Union) {
-      if (type_.includesAll(allowedTypes)) {
-        return;
+      return type_.optionTypes.some(t => this._includesNull(t));
+    }
+
+    return false;
+  }
+
+  /**
+   * Removes null from the type: number? -> number
+   */
+  _removeNull(type_) {
+    const unaliased = this._unalias(type_);
+
+    if (!(unaliased instanceof Type.Union) || !this._includesNull(unaliased)) {
+      return type_;
+    }
+
+    const optionTypes = unaliased.optionTypes
+      .map(t => this._removeNull(t))
+      .filter(t => this._unalias(t) !== Type.null);
+
+    if (optionTypes.length === 1) {
+      return optionTypes[0];
+    }
+
+    return new Type.Union({
+      name: `(or ${optionTypes.join(' ')})`,
+      optionTypes,
+    });
+  }
+
+  /**
+   * Expects a non-null value for property access and calls.
+   *
+   * In the strict null checks mode possibly null values
+   * are errors, otherwise null is just removed from the type.
+   */
+  _expectNonNull(type_, value, exp) {
+    if (!this._includesNull(type_)) {
+      return type_;
+    }
+
+    if (this.strictNullChecks) {
+      throw `\nValue ${value} is possibly null in ${exp}.\n`;
+    }
+
+    return this._removeNull(type_);
+  }
+
+  /**
+   * Whether a value of the actual type is accepted by the expected type.
+   */
+  _isCompatible(actualType, expectedType) {
+    // Inferred types are unified: (lambda (x) (* x x))
+    if (this._hasTypeVariables(actualType) || this._hasTypeVariables(expectedType)) {
+      return this._unify(actualType, expectedType);
+    }
+
+    if (this._includesNull(actualType) && !this._includesNull(expectedType)) {
+      // Strict null checks: only optional types accept null.
+      if (this.strictNullChecks) {
+        return false;
       }
-    } else {
-      // Other types:
-      if (allowedTypes.some(t => t.equals(type_))) {
-        return;
+
+      // Otherwise null is accepted by any type.
+      if (actualType === Type.null) {
+        return true;
       }
-    }
 
-    if (!allowedTypes.some(t => t.equals(type_))) {
-      throw `\nUnexpected type: ${type} in ${exp}, allowed: ${allowedTypes}`;
+      actualType = this._removeNull(actualType);
     }
+
+    return Type.isAssignableTo(actualType, expectedType);
   }
 
   /**
    * Expects a type.
    */
   _expect(actualType, expectedType, value, exp) {
-    if (!actualType.equals(expectedType)) {
+    if (!this._isCompatible(actualType, expectedType)) {
       this._throw(actualType, expectedType, value, exp);
     }
     return actualType;
@@ -738,7 +3500,61 @@ class EvaTC {
    * Throws type error.
    */
   _throw(actualType, expectedType, value, exp) {
-    throw `\nExpected "${expectedType}" type for ${value} in ${JSON.stringify(exp)}, but got "${actualType}" type.\n`;
+    const mismatch = this._functionMismatch(actualType, expectedType);
+    const reason = mismatch == null ? '' : `: ${mismatch}`;
+
+    // Constrained type variable expects one of the allowed types:
+    const expected = this._prune(expectedType);
+
+    if (expected instanceof Type.Variable && expected.allowedTypes != null) {
+      expectedType = this._createUnionType(expected.allowedTypes);
+    }
+
+    throw `\nExpected "${expectedType}" type for ${value} in ${JSON.stringify(exp)}, but got "${actualType}" type${reason}.\n`;
+  }
+
+  /**
+   * Describes which position of a function type is not assignable:
+   * parameters are contravariant, and the return type is covariant.
+   *
+   * Fn<Point3D<Point>>, Fn<Point<Point3D>> ->
+   *   parameter 1 expects "Point3D", but got "Point"
+   */
+  _functionMismatch(actualType, expectedType) {
+    const actualFn = this._unalias(this._resolveType(actualType));
+    const expectedFn = this._unalias(this._resolveType(expectedType));
+
+    if (!(actualFn instanceof Type.Function && expectedFn instanceof Type.Function)) {
+      return null;
+    }
+
+    if (actualFn.paramTypes.length !== expectedFn.paramTypes.length) {
+      return `expected ${expectedFn.paramTypes.length} parameters, but got ${actualFn.paramTypes.length}`;
+    }
+
+    // A parameter should accept all values of the expected parameter:
+    for (let i = 0; i < actualFn.paramTypes.length; i++) {
+      const paramType = actualFn.paramTypes[i];
+      const expectedParamType = expectedFn.paramTypes[i];
+
+      if (!Type.isAssignableTo(expectedParamType, paramType)) {
+        const nested = this._functionMismatch(expectedParamType, paramType);
+
+        return nested != null
+          ? `parameter ${i + 1}, ${nested}`
+          : `parameter ${i + 1} expects "${paramType}", but got "${expectedParamType}"`;
+      }
+    }
+
+    if (!Type.isAssignableTo(actualFn.returnType, expectedFn.returnType)) {
+      const nested = this._functionMismatch(actualFn.returnType, expectedFn.returnType);
+
+      return nested != null
+        ? `return type, ${nested}`
+        : `return type "${actualFn.returnType}" is not assignable to "${expectedFn.returnType}"`;
+    }
+
+    return null;
   }
 
   /**
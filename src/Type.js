@@ -5,6 +5,7 @@
  */
 
 const TypeEnvironment = require('./TypeEnvironment');
+const TypeRegistry = require('./TypeRegistry');
 
 /**
  * Type class.
@@ -29,33 +30,229 @@ class Type {
   }
 
   /**
-   * Equals.
+   * Equals: type identity, see isAssignableTo for subtyping.
    */
   equals(other) {
     if (other instanceof Type.Alias) {
       return other.equals(this);
     }
 
-    if (other instanceof Type.Union) {
-      return other.equals(this);
-    }
-    
     return this.name === other.name;
   }
 
+  /**
+   * Whether a value of the source type can be used where
+   * the target type is expected:
+   *
+   * "alex" -> string, Dog -> Animal, number -> (or number string)
+   *
+   * Unlike equals, the relation is directional:
+   * (or number string) is not assignable to number.
+   */
+  static isAssignableTo(source, target) {
+    // Bound type variables:
+    while (source instanceof Type.Variable && source.instance != null) {
+      source = source.instance;
+    }
+
+    while (target instanceof Type.Variable && target.instance != null) {
+      target = target.instance;
+    }
+
+    if (source === target || source.equals(target)) {
+      return true;
+    }
+
+    // never has no values, and any is compatible with all types:
+    if (source === Type.never || source === Type.any || target === Type.any) {
+      return true;
+    }
+
+    // Aliases:
+    if (source instanceof Type.Alias) {
+      return Type.isAssignableTo(source.parent, target);
+    }
+
+    if (target instanceof Type.Alias) {
+      return Type.isAssignableTo(source, target.parent);
+    }
+
+    // All options of the union should be assignable:
+    if (source instanceof Type.Union) {
+      return source.optionTypes.every(t => Type.isAssignableTo(t, target));
+    }
+
+    // (and A B) is assignable to A, and to B:
+    if (source instanceof Type.Intersection) {
+      if (source.memberTypes.some(t => Type.isAssignableTo(t, target))) {
+        return true;
+      }
+
+      // Structurally, as an object type with fields of all members:
+      const mergedObject = source.getMergedObject();
+
+      return mergedObject != null && Type.isAssignableTo(mergedObject, target);
+    }
+
+    // Union accepts a value of any of its options:
+    if (target instanceof Type.Union) {
+      return target.optionTypes.some(t => Type.isAssignableTo(source, t));
+    }
+
+    // Intersection accepts a value of all its members:
+    if (target instanceof Type.Intersection) {
+      return target.accepts(source);
+    }
+
+    // Bounded opaque type is assignable to its bound:
+    if (source instanceof Type.Opaque) {
+      return source.bound != null && Type.isAssignableTo(source.bound, target);
+    }
+
+    // Literals widen to their base type: "alex" -> string
+    if (source instanceof Type.Literal) {
+      return Type.isAssignableTo(source.base, target);
+    }
+
+    // Type guards are booleans:
+    if (source instanceof Type.Guard) {
+      return Type.isAssignableTo(Type.boolean, target);
+    }
+
+    // Class is assignable to its super classes, and implemented interfaces:
+    if (source instanceof Type.Class) {
+      if (target instanceof Type.Interface && source.interfaces.includes(target)) {
+        return true;
+      }
+
+      return (
+        source.superClass instanceof Type.Class &&
+        Type.isAssignableTo(source.superClass, target)
+      );
+    }
+
+    // Objects are structural: all target fields should be present
+    // (extra fields are allowed). Fields are mutable, so similarly
+    // to arrays, their types should be the same:
+    if (source instanceof Type.Object && target instanceof Type.Object) {
+      for (const [fieldName, fieldType] of target.fields) {
+        if (
+          !source.fields.has(fieldName) ||
+          !source.fields.get(fieldName).equals(fieldType)
+        ) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    // Functions: contravariant parameters, covariant return type:
+    if (source instanceof Type.Function && target instanceof Type.Function) {
+      return (
+        source.paramTypes.length === target.paramTypes.length &&
+        target.paramTypes.every((t, i) => Type.isAssignableTo(t, source.paramTypes[i])) &&
+        Type.isAssignableTo(source.returnType, target.returnType)
+      );
+    }
+
+    // Arrays are mutable, so their element types should be the same:
+    if (source instanceof Type.Array && target instanceof Type.Array) {
+      return source.elementType.equals(target.elementType);
+    }
+
+    // Tuples and promises are covariant:
+    if (source instanceof Type.Tuple && target instanceof Type.Tuple) {
+      return (
+        source.elementTypes.length === target.elementTypes.length &&
+        source.elementTypes.every((t, i) => Type.isAssignableTo(t, target.elementTypes[i]))
+      );
+    }
+
+    if (source instanceof Type.Promise && target instanceof Type.Promise) {
+      return Type.isAssignableTo(source.valueType, target.valueType);
+    }
+
+    return false;
+  }
+
+  /**
+   * Splits type arguments on the top-level commas:
+   *
+   * 'number,Array<string>' -> ['number', 'Array<string>']
+   */
+  static splitTypeArgs(typeArgsStr) {
+    const typeArgs = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < typeArgsStr.length; i++) {
+      if (typeArgsStr[i] === '<') {
+        depth++;
+      } else if (typeArgsStr[i] === '>') {
+        depth--;
+      } else if (typeArgsStr[i] === ',' && depth === 0) {
+        typeArgs.push(typeArgsStr.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    typeArgs.push(typeArgsStr.slice(start).trim());
+
+    return typeArgs;
+  }
+
   /**
    * From string: 'number' -> Type.number
+   *
+   * Type names are resolved in the types registry,
+   * by default only built-in types are available.
    */
-  static fromString(typeStr) {
-    if (this.hasOwnProperty(typeStr)) {
-      return this[typeStr];
+  static fromString(typeStr, types = Type.builtins) {
+    // Already resolved type:
+    if (typeStr instanceof Type) {
+      return typeStr;
+    }
+
+    if (Type.Literal.isLiteral(typeStr)) {
+      return Type.Literal.fromString(typeStr);
+    }
+
+    // Tuple type: (tuple number string)
+    if (Array.isArray(typeStr) && typeStr[0] === 'tuple') {
+      return new Type.Tuple({
+        elementTypes: typeStr.slice(1).map(t => Type.fromString(t, types)),
+      });
+    }
+
+    // Type guard: (is x User)
+    if (Array.isArray(typeStr) && typeStr[0] === 'is') {
+      const [_tag, paramName, guardedTypeStr] = typeStr;
+      return new Type.Guard({
+        paramName,
+        guardedType: Type.fromString(guardedTypeStr, types),
+      });
+    }
+
+    // Union and intersection: (or number string), (and Named Aged)
+    if (Array.isArray(typeStr) && typeStr[0] === 'or') {
+      const optionTypes = typeStr.slice(1).map(t => Type.fromString(t, types));
+      return new Type.Union({
+        name: `(or ${optionTypes.join(' ')})`,
+        optionTypes,
+      });
+    }
+
+    if (Array.isArray(typeStr) && typeStr[0] === 'and') {
+      return Type.Intersection.fromTypes(
+        typeStr.slice(1).map(t => Type.fromString(t, types))
+      );
     }
 
-    if (typeStr.includes('Fn<')) {
-      return Type.Function.fromString(typeStr);
+    if (types.has(typeStr)) {
+      return types.lookup(typeStr);
     }
 
-    throw `Unknown type: ${typeStr}`;
+    // Type expressions: Array<number>, Fn<number<Point>>, number?
+    return new Type.Parser(typeStr, types).parse();
   }
 }
 
@@ -84,6 +281,25 @@ Type.null = new Type('null');
  */
 Type.any = new Type('any');
 
+/**
+ * Never type: has no values, e.g. (and number string).
+ *
+ * Being uninhabited, it is assignable to any type.
+ */
+Type.never = new Type('never');
+
+/**
+ * Built-in types, which are available in all type registries.
+ */
+Type.builtins = new TypeRegistry({
+  number: Type.number,
+  string: Type.string,
+  boolean: Type.boolean,
+  null: Type.null,
+  any: Type.any,
+  never: Type.never,
+});
+
 /**
  * Function meta type.
  */
@@ -111,6 +327,7 @@ Type.Function = class extends Type {
         name.push('<', params.join(','), '>');
       }
       name.push('>');
+      this.name = name.join('');
     }
     return this.name;
   }
@@ -119,6 +336,14 @@ Type.Function = class extends Type {
    * Equals.
    */
   equals(other) {
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    if (!(other instanceof Type.Function)) {
+      return false;
+    }
+
     if (this.paramTypes.length !== other.paramTypes.length) {
       return false;
     }
@@ -136,59 +361,69 @@ Type.Function = class extends Type {
     return true;
   }
 
-  static fromString(typeStr) {
-    if (Type.hasOwnProperty(typeStr)) {
-      return Type[typeStr];
-    }
-
-    // Function type with return and params
-    let matched = /^Fn<(\w+)<([a-z,\s]+)>>$/.exec(typeStr);
-
-    if (matched != null) {
-      const [_, returnTypeStr, paramsString] = matched;
-
-      // Param types
-      const paramTypes = paramsString
-        .split(/,\s*/g)
-        .map(param => Type.fromString(param));
-
-      return (Type[typeStr] = new Type.Function({
-        name: typeStr,
-        paramTypes,
-        returnType: Type.fromString(returnTypeStr)
-      }));
-    }
-
-    // function type with return type only
-    matched = /^Fn<(\w+)>$/.exec(typeStr);
+  /**
+   * From string: 'Fn<number<string,Point>>' -> Fn<number<string,Point>>
+   */
+  static fromString(typeStr, types = Type.builtins) {
+    const type_ = Type.fromString(typeStr, types);
 
-    if (matched != null) {
-      const [_, returnTypeStr] = matched;
-      return (Type[typeStr] = new Type.Function({
-        name: typeStr,
-        paramTypes: [],
-        returnType: Type.fromString(returnTypeStr)
-      }));
+    if (!(type_ instanceof Type.Function)) {
+      throw `Type.Function.fromString: Unknown type: ${typeStr}`;
     }
 
-    throw `Type.Function.fromString: Unknown type: ${typeStr}`;
+    return type_;
   }
 };
 
 /**
  * Type alias: (type int number)
+ *
+ * Instantiated generic aliases are expanded lazily:
+ * the parent type is created on first use.
  */
 Type.Alias = class extends Type {
-  constructor({name, parent}) {
+  constructor({name, parent = null, expand = null}) {
     super(name);
-    this.parent = parent;
+    this.expandedParent = parent;
+    this.expand = expand;
+    this.expanding = false;
   }
 
   /**
-   * Equals.
+   * Parent (aliased) type.
+   *
+   * An alias of an alias is expanded eagerly, so an alias which
+   * never reaches a type is detected: (type Loop <T> Loop<T>)
+   */
+  get parent() {
+    if (this.expandedParent == null) {
+      if (this.expanding) {
+        throw `\nRecursive type alias ${this.name} doesn't expand to a type.\n`;
+      }
+
+      this.expanding = true;
+
+      try {
+        const parent = this.expand();
+
+        if (parent instanceof Type.Alias) {
+          parent.parent;
+        }
+
+        this.expandedParent = parent;
+      } finally {
+        this.expanding = false;
+      }
+    }
+    return this.expandedParent;
+  }
+
+  /**
+   * Equals: the same alias, or equal aliased types. Aliases
+   * declared in different scopes may have the same name.
    */
   equals(other) {
-    if (this.name === other.name) {
+    if (this === other) {
       return true;
     }
 
@@ -204,9 +439,10 @@ module.exports = Type;
  * Creates a new TypeEnvironment.
  */
 Type.Class = class extends Type {
-  constructor({name, superClass = Type.null}) {
+  constructor({name, superClass = Type.null, interfaces = []}) {
     super(name);
     this.superClass = superClass;
+    this.interfaces = interfaces;
     this.env = new TypeEnvironment({}, superClass != Type.null ? superClass.env : null);
   }
 
@@ -215,7 +451,75 @@ Type.Class = class extends Type {
     return this.env.lookup(name);
   }
 
-  // Equals override
+  // Whether the field is defined in the class or its super classes
+  hasField(name) {
+    try {
+      this.env.resolve(name);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Equals override: classes are nominal, a class
+  // is equal only to itself, not to a shadowed class
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    return false;
+  }
+};
+
+/**
+ * Object type: (object (name string) (age number))
+ *
+ * Object types are structural: two object types are equal
+ * if they have the same fields, and the fields have equal types.
+ */
+Type.Object = class extends Type {
+  constructor({name = null, fields}) {
+    super(name);
+    this.fields = fields;
+    this.name = this.getName();
+  }
+
+  /**
+   * Returns name: (object (name string) (age number))
+   */
+  getName() {
+    if (this.name == null) {
+      const fields = [];
+      this.fields.forEach((fieldType, fieldName) => {
+        fields.push(`(${fieldName} ${fieldType.getName()})`);
+      });
+      this.name = `(object ${fields.join(' ')})`;
+    }
+    return this.name;
+  }
+
+  // Return field type
+  getField(name) {
+    if (!this.fields.has(name)) {
+      throw `Property "${name}" is not defined in ${this.getName()}.`;
+    }
+    return this.fields.get(name);
+  }
+
+  // Whether the field is defined
+  hasField(name) {
+    return this.fields.has(name);
+  }
+
+  /**
+   * Equals.
+   */
   equals(other) {
     if (this === other) {
       return true;
@@ -226,14 +530,37 @@ Type.Class = class extends Type {
       return other.equals(this);
     }
 
-    if (this.superClass != Type.null) {
-      return this.superClass.equals(other);
+    if (!(other instanceof Type.Object)) {
+      return false;
     }
 
-    return false;
+    // Structural equality: same field names with equal types.
+    if (this.fields.size !== other.fields.size) {
+      return false;
+    }
+
+    for (const [fieldName, fieldType] of this.fields) {
+      if (!other.fields.has(fieldName)) {
+        return false;
+      }
+      if (!fieldType.equals(other.fields.get(fieldName))) {
+        return false;
+      }
+    }
+
+    return true;
   }
 };
 
+/**
+ * Interface type: (interface User (name string) (age number))
+ *
+ * Interfaces are object types, which classes can implement:
+ *
+ *   (class Person null (User) <body>)
+ */
+Type.Interface = class extends Type.Object {};
+
 /**
  * Union type: (or string number)
  */
@@ -251,7 +578,7 @@ Type.Union = class extends Type {
       return false;
     }
     for (const type_ of types) {
-      if (!this.equals(type_)) {
+      if (!this.optionTypes.some(t => t.equals(type_))) {
         return false;
       }
     }
@@ -272,30 +599,884 @@ Type.Union = class extends Type {
       return other.equals(this);
     }
 
-    // Other union:
-    if (other instanceof Type.Union) {
-      return this.includesAll(other.optionTypes);
+    // Same options:
+    return (
+      other instanceof Type.Union &&
+      this.includesAll(other.optionTypes) &&
+      other.includesAll(this.optionTypes)
+    );
+  }
+};
+
+/**
+ * Enum (algebraic data type): (enum Shape (Circle (r number)) (Rect ...))
+ *
+ * A tagged union of its variants, which are matched
+ * by the match-expression.
+ */
+Type.Enum = class extends Type.Union {
+  constructor({name, variants}) {
+    super({name, optionTypes: [...variants.values()]});
+    this.variants = variants;
+  }
+
+  // Return variant type
+  getVariant(name) {
+    if (!this.variants.has(name)) {
+      throw `Unknown variant ${name} of enum ${this.getName()}.`;
+    }
+    return this.variants.get(name);
+  }
+};
+
+/**
+ * Variant of an enum: (Circle (r number))
+ *
+ * Variants are nominal: two variants are equal only
+ * if it's the same variant.
+ */
+Type.Variant = class extends Type {
+  constructor({name, fields}) {
+    super(name);
+    this.fields = fields;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
     }
 
-    // Anything else:
-    return this.optionTypes.some(t => t.equals(other));
+    return false;
   }
 };
 
 /**
- * Generic function type.
+ * Intersection type: (and Named Aged)
  *
- * Generic functions create normal function types
- * when a function is called.
+ * A value of the intersection is a value of each member type,
+ * and has the fields of all members.
  */
-Type.GenericFunction = class extends Type {
-  constructor({name = null, genericTypesStr, params, returnType, body, env}) {
-    super(`${name  || 'lambda'} <${genericTypesStr}>`);
-    this.genericTypes = genericTypesStr.split(',');
-    this.params = params;
-    this.returnType = returnType;
-    this.body = body;
-    this.env = env;
+Type.Intersection = class extends Type {
+  constructor({name, memberTypes}) {
+    super(name);
+    this.memberTypes = memberTypes;
+  }
+
+  /**
+   * Creates a simplified intersection:
+   *
+   * (and A (and B C)) -> (and A B C)
+   * (and number 1) -> 1
+   * (and number string) -> never
+   */
+  static fromTypes(memberTypes, name = null) {
+    const types = [];
+
+    memberTypes.forEach(t => {
+      if (t instanceof Type.Intersection) {
+        types.push(...t.memberTypes);
+      } else if (!types.includes(t)) {
+        types.push(t);
+      }
+    });
+
+    if (types.includes(Type.never)) {
+      return Type.never;
+    }
+
+    // Primitive members should be the same type, or literals of it,
+    // the most specific of them is kept:
+    let primitive = null;
+
+    for (const t of types.filter(t => Type.Intersection.isPrimitive(t))) {
+      if (primitive == null || Type.isAssignableTo(t, primitive)) {
+        primitive = t;
+      } else if (!Type.isAssignableTo(primitive, t)) {
+        return Type.never;
+      }
+    }
+
+    const resultTypes = types.filter(
+      t => t === primitive || !Type.Intersection.isPrimitive(t)
+    );
+
+    if (resultTypes.length === 1) {
+      return resultTypes[0];
+    }
+
+    return new Type.Intersection({
+      name: name || `(and ${resultTypes.join(' ')})`,
+      memberTypes: resultTypes,
+    });
+  }
+
+  /**
+   * Whether the type is primitive: number, "alex", etc.
+   */
+  static isPrimitive(type_) {
+    while (type_ instanceof Type.Alias) {
+      type_ = type_.parent;
+    }
+    return (
+      type_ instanceof Type.Literal ||
+      [Type.number, Type.string, Type.boolean, Type.null].includes(type_)
+    );
+  }
+
+  /**
+   * Object type with fields of all members, if all
+   * members are object types.
+   */
+  getMergedObject() {
+    if (!this.memberTypes.every(t => t instanceof Type.Object)) {
+      return null;
+    }
+
+    const fields = new Map();
+
+    this.memberTypes.forEach(t => {
+      t.fields.forEach((_fieldType, fieldName) => {
+        fields.set(fieldName, this.getField(fieldName));
+      });
+    });
+
+    return new Type.Object({fields});
+  }
+
+  // Whether the field is defined in any member
+  hasField(name) {
+    return this.memberTypes.some(t => t.hasField != null && t.hasField(name));
+  }
+
+  // Return field type, intersected from all members
+  getField(name) {
+    const fieldTypes = this.memberTypes
+      .filter(t => t.hasField != null && t.hasField(name))
+      .map(t => t.getField(name));
+
+    if (fieldTypes.length === 0) {
+      throw `Property "${name}" is not defined in ${this.getName()}.`;
+    }
+
+    return Type.Intersection.fromTypes(fieldTypes);
+  }
+
+  /**
+   * Whether a value of the type is also a value
+   * of this intersection.
+   */
+  accepts(type_) {
+    if (this.memberTypes.every(t => Type.isAssignableTo(type_, t))) {
+      return true;
+    }
+
+    // Object literal with fields of all members:
+    const mergedObject = this.getMergedObject();
+
+    return mergedObject != null && Type.isAssignableTo(type_, mergedObject);
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    // Same members:
+    return (
+      other instanceof Type.Intersection &&
+      this.memberTypes.length === other.memberTypes.length &&
+      this.memberTypes.every(t => other.memberTypes.some(m => m.equals(t)))
+    );
+  }
+};
+
+/**
+ * Type guard: (is x User)
+ *
+ * Return type of a boolean predicate, which narrows
+ * its argument to the guarded type in conditions.
+ */
+Type.Guard = class extends Type {
+  constructor({paramName, guardedType, paramIndex = null}) {
+    super(`(is ${paramName} ${guardedType})`);
+    this.paramName = paramName;
+    this.guardedType = guardedType;
+    this.paramIndex = paramIndex;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    return other instanceof Type.Guard && this.name === other.name;
+  }
+};
+
+/**
+ * Literal type: "alex", 10, true
+ *
+ * Literal types widen to their base type: a "alex" value
+ * can be used as a string, but not vice versa.
+ */
+Type.Literal = class extends Type {
+  constructor({value, base}) {
+    super(typeof value === 'string' ? `"${value}"` : String(value));
+    this.value = value;
+    this.base = base;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (other instanceof Type.Literal) {
+      return this.base === other.base && this.value === other.value;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return this.equals(other.parent);
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether the string is a literal type: "alex", 10, true
+   */
+  static isLiteral(typeStr) {
+    return (
+      typeof typeStr === 'number' ||
+      typeof typeStr === 'boolean' ||
+      typeStr === 'true' ||
+      typeStr === 'false' ||
+      /^"[^"]*"$/.test(typeStr)
+    );
+  }
+
+  /**
+   * From string: '"alex"' -> Literal("alex")
+   */
+  static fromString(typeStr) {
+    if (typeof typeStr === 'number') {
+      return new Type.Literal({value: typeStr, base: Type.number});
+    }
+
+    if (typeof typeStr === 'boolean' || typeStr === 'true' || typeStr === 'false') {
+      return new Type.Literal({
+        value: typeStr === true || typeStr === 'true',
+        base: Type.boolean,
+      });
+    }
+
+    if (/^"[^"]*"$/.test(typeStr)) {
+      return new Type.Literal({value: typeStr.slice(1, -1), base: Type.string});
+    }
+
+    throw `Type.Literal.fromString: Unknown type: ${typeStr}`;
+  }
+};
+
+/**
+ * Array type: Array<number>
+ */
+Type.Array = class extends Type {
+  constructor({elementType}) {
+    super(`Array<${elementType.getName()}>`);
+    this.elementType = elementType;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    if (!(other instanceof Type.Array)) {
+      return false;
+    }
+
+    return this.elementType.equals(other.elementType);
+  }
+};
+
+/**
+ * Tuple type: Tuple<number,string>, or (tuple number string)
+ *
+ * Tuples are structural: equal if the element types are equal.
+ */
+Type.Tuple = class extends Type {
+  constructor({elementTypes}) {
+    super(`Tuple<${elementTypes.map(t => t.getName()).join(',')}>`);
+    this.elementTypes = elementTypes;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    if (!(other instanceof Type.Tuple)) {
+      return false;
+    }
+
+    if (this.elementTypes.length !== other.elementTypes.length) {
+      return false;
+    }
+
+    for (let i = 0; i < this.elementTypes.length; i++) {
+      if (!this.elementTypes[i].equals(other.elementTypes[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+};
+
+/**
+ * Promise type: Promise<number>
+ *
+ * Result of async functions, unwrapped with (await ...).
+ */
+Type.Promise = class extends Type {
+  constructor({valueType}) {
+    super(`Promise<${valueType.getName()}>`);
+    this.valueType = valueType;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    if (!(other instanceof Type.Promise)) {
+      return false;
+    }
+
+    return this.valueType.equals(other.valueType);
+  }
+};
+
+/**
+ * Generic function type.
+ *
+ * Generic functions create normal function types
+ * when a function is called.
+ */
+Type.GenericFunction = class extends Type {
+  constructor({
+    name = null,
+    genericTypesStr,
+    params,
+    returnType,
+    body,
+    env,
+    types,
+    isAsync = false,
+    bounds = new Map(),
+  }) {
+    super(`${name  || 'lambda'} <${genericTypesStr}>`);
+    this.genericTypes = genericTypesStr.split(',');
+    this.params = params;
+    this.returnType = returnType;
+    this.body = body;
+    this.env = env;
+    this.types = types;
+    this.isAsync = isAsync;
+    this.bounds = bounds;
+  }
+};
+
+/**
+ * Opaque type: a generic parameter, which is not bound
+ * to an actual type: (def id <K> ((x K)) -> K x)
+ *
+ * Opaque types are equal only to themselves. A bounded opaque type
+ * is assignable to its bound, but not vice versa:
+ * (def inc <K extends number> ((x K)) -> K ...)
+ */
+Type.Opaque = class extends Type {
+  constructor(name, bound = null) {
+    super(name);
+    this.bound = bound;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+
+    // Aliases:
+    if (other instanceof Type.Alias) {
+      return other.equals(this);
+    }
+
+    return false;
+  }
+};
+
+/**
+ * Type variable: t1
+ *
+ * Type of an unannotated parameter, which is not known yet.
+ * Bound to the actual type during inference (unification).
+ */
+Type.Variable = class extends Type {
+  constructor({origin, allowedTypes = null}) {
+    super(`t${++Type.Variable.count}`);
+    this.origin = origin;
+    this.instance = null;
+
+    // Types the variable can be bound to, e.g. operands
+    // of +: (or string number), or null for any type:
+    this.allowedTypes = allowedTypes;
+  }
+
+  /**
+   * Returns name of the bound type, or of the variable itself.
+   */
+  getName() {
+    if (this.instance != null) {
+      return this.instance.getName();
+    }
+    return this.name;
+  }
+
+  /**
+   * Equals.
+   */
+  equals(other) {
+    if (this.instance != null) {
+      return this.instance.equals(other);
+    }
+
+    if (other instanceof Type.Variable && other.instance != null) {
+      return this.equals(other.instance);
+    }
+
+    return this === other;
+  }
+};
+
+/**
+ * Number of created type variables, used for their names.
+ */
+Type.Variable.count = 0;
+
+/**
+ * Polymorphic type scheme: <t1> Fn<t1<t1>>
+ *
+ * Inferred types of let-bound functions are generalized over
+ * their free type variables, and instantiated on each use.
+ */
+Type.Scheme = class extends Type {
+  constructor({typeVariables, type}) {
+    super(`<${typeVariables.join(',')}> ${type}`);
+    this.typeVariables = typeVariables;
+    this.type = type;
+  }
+};
+
+/**
+ * Generic class type: (class Box <T> null ...)
+ *
+ * Generic classes create normal class types
+ * when instantiated with actual types: Box<number>.
+ */
+Type.GenericClass = class extends Type {
+  constructor({name, genericTypesStr, instantiate}) {
+    super(name);
+    this.genericTypes = genericTypesStr.split(',');
+    this.instantiator = instantiate;
+  }
+
+  /**
+   * Returns class type for the actual types: ['number'] -> Box<number>
+   */
+  instantiate(actualTypes) {
+    return this.instantiator(actualTypes);
+  }
+};
+
+/**
+ * Generic type alias: (type Result <T> (or T string))
+ *
+ * Generic aliases create normal aliases
+ * when instantiated with actual types: Result<number>.
+ */
+Type.GenericAlias = class extends Type {
+  constructor({name, genericTypesStr, instantiate}) {
+    super(name);
+    this.genericTypes = genericTypesStr.split(',');
+    this.instantiator = instantiate;
+  }
+
+  /**
+   * Returns alias for the actual types: ['number'] -> Result<number>
+   */
+  instantiate(actualTypes) {
+    return this.instantiator(actualTypes);
+  }
+};
+
+/**
+ * Type expression parser (recursive descent):
+ *
+ *   Type     : Primary '?'*
+ *
+ *   Primary  : Literal                     "alex", 42, true
+ *            | 'Fn' '<' Type Params? '>'   Fn<number<string,Point>>
+ *            | Name TypeArgs?              number, Array<number>, Box<string>
+ *            | '(' 'or' Type+ ')'          (or number string)
+ *            | '(' 'and' Type+ ')'         (and Named Aged)
+ *            | '(' 'tuple' Type* ')'       (tuple number string)
+ *            | '(' Type ')'
+ *
+ *   Params   : '<' (Type (',' Type)*)? '>'
+ *   TypeArgs : '<' Type (',' Type)* '>'
+ *
+ * Type arguments are parsed only for generic types, so the
+ * return type of a function is followed by the parameters:
+ * Fn<number<Point>>, Fn<Fn<number<number>><number>>.
+ */
+Type.Parser = class {
+  constructor(typeStr, types = Type.builtins) {
+    this.typeStr = String(typeStr);
+    this.types = types;
+    this.pos = 0;
+  }
+
+  /**
+   * Parses the whole type string.
+   */
+  parse() {
+    const type_ = this.parseType();
+
+    this.skipWhitespace();
+
+    if (this.pos < this.typeStr.length) {
+      this.unexpected('end of type');
+    }
+
+    return type_;
+  }
+
+  /**
+   * Type : Primary '?'*
+   */
+  parseType() {
+    let type_ = this.parsePrimary();
+
+    // Optional type: number? -> (or number null)
+    while (this.consume('?')) {
+      type_ = new Type.Union({
+        name: `${type_}?`,
+        optionTypes: [type_, Type.null],
+      });
+    }
+
+    return type_;
+  }
+
+  /**
+   * Primary : Literal | Fn<...> | Name TypeArgs? | (...)
+   */
+  parsePrimary() {
+    this.skipWhitespace();
+
+    const char = this.peek();
+
+    if (char === '(') {
+      return this.parseParenthesized();
+    }
+
+    if (char === '"') {
+      const end = this.typeStr.indexOf('"', this.pos + 1);
+
+      if (end === -1) {
+        this.pos = this.typeStr.length;
+        this.unexpected('closing "');
+      }
+
+      const literal = this.typeStr.slice(this.pos, end + 1);
+      this.pos = end + 1;
+
+      return Type.Literal.fromString(literal);
+    }
+
+    if (char != null && /\d/.test(char)) {
+      return Type.Literal.fromString(Number(this.read(/\d/)));
+    }
+
+    const start = this.pos;
+    const name = this.parseName();
+
+    if (name === 'true' || name === 'false') {
+      return Type.Literal.fromString(name);
+    }
+
+    if (name === 'Fn') {
+      return this.parseFunction();
+    }
+
+    if (name === 'Array' || name === 'Promise' || name === 'Tuple') {
+      const typeArgs = this.parseTypeArgs();
+
+      if (name === 'Tuple') {
+        return new Type.Tuple({elementTypes: typeArgs});
+      }
+
+      if (typeArgs.length !== 1) {
+        this.error(`Type ${name} expects 1 type argument, ${typeArgs.length} given`, start);
+      }
+
+      return name === 'Array'
+        ? new Type.Array({elementType: typeArgs[0]})
+        : new Type.Promise({valueType: typeArgs[0]});
+    }
+
+    if (!this.types.has(name)) {
+      this.error(`Unknown type ${name}`, start);
+    }
+
+    const type_ = this.types.lookup(name);
+
+    // Instantiated generic class or alias: Box<number>
+    if (type_ instanceof Type.GenericClass || type_ instanceof Type.GenericAlias) {
+      return type_.instantiate(this.parseTypeArgs());
+    }
+
+    return type_;
+  }
+
+  /**
+   * Fn '<' Type Params? '>'
+   */
+  parseFunction() {
+    this.expect('<');
+
+    const returnType = this.parseType();
+    let paramTypes = [];
+
+    this.skipWhitespace();
+
+    if (this.peek() === '<') {
+      paramTypes = this.parseList('<', '>', true);
+    }
+
+    this.expect('>');
+
+    return new Type.Function({paramTypes, returnType});
+  }
+
+  /**
+   * '(' 'or' Type+ ')' | '(' 'and' Type+ ')' | '(' 'tuple' Type* ')' | '(' Type ')'
+   */
+  parseParenthesized() {
+    this.expect('(');
+
+    this.skipWhitespace();
+
+    const start = this.pos;
+    const tag = this.read(/\w/);
+
+    if (tag === 'or' || tag === 'and' || tag === 'tuple') {
+      const types = [];
+
+      while (this.skipWhitespace() !== ')') {
+        types.push(this.parseType());
+      }
+
+      if (types.length === 0 && tag !== 'tuple') {
+        this.unexpected('type');
+      }
+
+      this.expect(')');
+
+      if (tag === 'tuple') {
+        return new Type.Tuple({elementTypes: types});
+      }
+
+      if (tag === 'and') {
+        return Type.Intersection.fromTypes(types);
+      }
+
+      return new Type.Union({
+        name: `(or ${types.join(' ')})`,
+        optionTypes: types,
+      });
+    }
+
+    // Grouping: (Fn<number>)?
+    this.pos = start;
+
+    const type_ = this.parseType();
+
+    this.expect(')');
+
+    return type_;
+  }
+
+  /**
+   * TypeArgs : '<' Type (',' Type)* '>'
+   */
+  parseTypeArgs() {
+    return this.parseList('<', '>');
+  }
+
+  /**
+   * Comma-separated list of types between the delimiters.
+   */
+  parseList(open, close, allowEmpty = false) {
+    this.expect(open);
+
+    const types = [];
+
+    if (allowEmpty && this.skipWhitespace() === close) {
+      this.pos++;
+      return types;
+    }
+
+    do {
+      types.push(this.parseType());
+    } while (this.consume(','));
+
+    this.expect(close);
+
+    return types;
+  }
+
+  /**
+   * Name: number, Point3D, Box
+   */
+  parseName() {
+    this.skipWhitespace();
+
+    const name = this.read(/\w/);
+
+    if (name === '') {
+      this.unexpected('type');
+    }
+
+    return name;
+  }
+
+  /**
+   * Reads characters matching the pattern.
+   */
+  read(pattern) {
+    const start = this.pos;
+
+    while (this.pos < this.typeStr.length && pattern.test(this.typeStr[this.pos])) {
+      this.pos++;
+    }
+
+    return this.typeStr.slice(start, this.pos);
+  }
+
+  /**
+   * Skips whitespace, and returns the next character.
+   */
+  skipWhitespace() {
+    this.read(/\s/);
+    return this.peek();
+  }
+
+  /**
+   * Returns the current character (null at the end).
+   */
+  peek() {
+    return this.pos < this.typeStr.length ? this.typeStr[this.pos] : null;
+  }
+
+  /**
+   * Consumes the character if it's next.
+   */
+  consume(char) {
+    if (this.skipWhitespace() === char) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Expects the character.
+   */
+  expect(char) {
+    if (!this.consume(char)) {
+      this.unexpected(`"${char}"`);
+    }
+  }
+
+  /**
+   * Throws an error for the unexpected character.
+   */
+  unexpected(expected) {
+    const actual = this.pos < this.typeStr.length
+      ? `"${this.typeStr[this.pos]}"`
+      : 'end of type';
+
+    this.error(`Unexpected ${actual}, expected ${expected}`);
+  }
+
+  /**
+   * Throws a parse error pointing at the offending character:
+   *
+   *   Unexpected ">", expected end of type at position 13 in Array<number>>:
+   *
+   *     Array<number>>
+   *                  ^
+   */
+  error(message, pos = this.pos) {
+    throw `\n${message} at position ${pos} in ${this.typeStr}:\n\n  ${this.typeStr}\n  ${' '.repeat(pos)}^\n`;
   }
 };
 
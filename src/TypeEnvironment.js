@@ -10,10 +10,36 @@
 class TypeEnvironment {
   /**
    * Creates an environment with the given record.
+   *
+   * Function environments also record whether the function
+   * is async, other environments inherit it from the parent.
    */
-  constructor(record = {}, parent = null) {
+  constructor(record = {}, parent = null, isAsync = null) {
     this.record = record;
     this.parent = parent;
+    this.async = isAsync;
+    this.narrowed = false;
+  }
+
+  /**
+   * Creates a child environment with narrowed types of
+   * variables and property paths: (if (!= x null) ...)
+   */
+  narrow(record) {
+    const env = new TypeEnvironment(record, this);
+    env.narrowed = true;
+    return env;
+  }
+
+  /**
+   * Whether the environment belongs to an async function.
+   */
+  isAsync() {
+    if (this.async != null) {
+      return this.async;
+    }
+
+    return this.parent != null && this.parent.isAsync();
   }
 
   /**
@@ -24,6 +50,16 @@ class TypeEnvironment {
     return type_;
   }
 
+  /**
+   * Whether a variable is defined in this or parent environments.
+   */
+  has(name) {
+    return (
+      this.record.hasOwnProperty(name) ||
+      (this.parent != null && this.parent.has(name))
+    );
+  }
+
   /**
    * Returns the type of a defined variable, or throws
    * if the variable is not defined.
@@ -32,6 +68,41 @@ class TypeEnvironment {
     return this.resolve(name).record[name];
   }
 
+  /**
+   * Returns the declared type of a variable, skipping narrowed types.
+   */
+  lookupDeclared(name) {
+    const env = this.resolve(name);
+
+    if (env.narrowed) {
+      return env.parent.lookupDeclared(name);
+    }
+
+    return env.record[name];
+  }
+
+  /**
+   * Drops narrowed types of an assigned reference, and of property
+   * paths on it, up to the environment where the variable is defined.
+   */
+  dropNarrowings(ref) {
+    const [name] = ref.split('.');
+
+    if (!this.narrowed && this.record.hasOwnProperty(name)) {
+      return;
+    }
+
+    if (this.narrowed) {
+      Object.keys(this.record)
+        .filter(key => key === ref || key.startsWith(`${ref}.`))
+        .forEach(key => delete this.record[key]);
+    }
+
+    if (this.parent != null) {
+      this.parent.dropNarrowings(ref);
+    }
+  }
+
   /**
    * Returns specific environment in which a variable is defined, or
    * throws if a variable is not defined.
@@ -0,0 +1,69 @@
+/**
+ * Typed Eva: static typecheker.
+ *
+ * (C) 2022-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+/**
+ * TypeRegistry: mapping from type names to types.
+ *
+ * Parallel to TypeEnvironment, which maps variable names:
+ * types declared in a block are visible only in this block,
+ * and may shadow the types of the outer blocks.
+ */
+class TypeRegistry {
+  /**
+   * Creates a registry with the given record.
+   */
+  constructor(record = {}, parent = null) {
+    this.record = record;
+    this.parent = parent;
+  }
+
+  /**
+   * Declares a type with the given name.
+   */
+  define(name, type_) {
+    this.record[name] = type_;
+    return type_;
+  }
+
+  /**
+   * Whether a type is declared in this registry (not in the parents).
+   */
+  hasOwn(name) {
+    return this.record.hasOwnProperty(name);
+  }
+
+  /**
+   * Whether a type is declared in this or parent registries.
+   */
+  has(name) {
+    return this.hasOwn(name) || (this.parent != null && this.parent.has(name));
+  }
+
+  /**
+   * Returns a declared type, or throws if the type is not declared.
+   */
+  lookup(name) {
+    return this.resolve(name).record[name];
+  }
+
+  /**
+   * Returns specific registry in which a type is declared, or
+   * throws if a type is not declared.
+   */
+  resolve(name) {
+    if (this.hasOwn(name)) {
+      return this;
+    }
+
+    if (this.parent == null) {
+      throw new ReferenceError(`Type "${name}" is not defined.`);
+    }
+
+    return this.parent.resolve(name);
+  }
+}
+
+module.exports = TypeRegistry;